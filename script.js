@@ -11,9 +11,140 @@
 const CONFIG = {
     animationDuration: 300,
     scrollOffset: 80,
+    // A partir de aquí la barra de navegación se oculta al bajar
+    navbarHideOffset: 100,
     debounceDelay: 100,
     intersectionThreshold: 0.1,
-    loadingMinTime: 1500
+    loadingMinTime: 1500,
+    data: {
+        services: 'data/services.json',
+        stats: 'data/stats.json',
+        testimonials: 'data/testimonials.json',
+        faq: 'data/faq.json',
+        organization: 'data/organization.json'
+    },
+    search: {
+        maxResults: 8,
+        // Largo mínimo de una palabra para tolerar errores de tecleo
+        fuzzyMinLength: 4,
+        snippetLength: 140,
+        // Bloques de contenido que se indexan además de secciones, servicios y preguntas
+        blocks: '.value-item, .impact-text, .contact-item'
+    },
+    stats: {
+        // Duración del conteo de las cifras al entrar en pantalla (ms)
+        countDuration: 1500
+    },
+    touch: {
+        // Desplazamiento máximo (px) para considerar un gesto como toque
+        tapThreshold: 10,
+        // Desplazamiento horizontal mínimo (px) para considerarlo deslizamiento
+        swipeThreshold: 50
+    },
+    testimonials: {
+        autoplayInterval: 7000
+    },
+    accessibility: {
+        storageKey: 'divergent-a11y'
+    },
+    readAloud: {
+        storageKey: 'divergent-read-aloud'
+    },
+    theme: {
+        // Debe coincidir con el script del <head> que aplica el tema antes del primer pintado
+        storageKey: 'divergent-theme',
+        // Color de la barra del navegador (meta theme-color) por tema
+        colors: {
+            light: '#000066',
+            dark: '#111827'
+        }
+    },
+    privacy: {
+        // Cambiarla vuelve a pedir el consentimiento a todos los visitantes
+        version: '2026-10'
+    },
+    consent: {
+        storageKey: 'divergent-consent',
+        // Categorías opcionales; "necessary" siempre está permitida
+        categories: ['analytics']
+    },
+    analytics: {
+        // Vacío para desactivar la analítica
+        endpoint: '/api/analytics',
+        batchSize: 10,
+        flushInterval: 5000,
+        maxValueLength: 64
+    },
+    notifications: {
+        maxVisible: 3,
+        // 0 = no se cierra sola
+        durations: {
+            success: 5000,
+            info: 5000,
+            warning: 8000,
+            error: 10000
+        }
+    },
+    i18n: {
+        defaultLanguage: 'es',
+        storageKey: 'divergent-language',
+        path: 'locales',
+        // Para agregar un idioma: una entrada aquí y locales/<código>.json
+        languages: {
+            es: { label: 'Español', locale: 'es-MX' },
+            en: { label: 'English', locale: 'en-US' }
+        }
+    },
+    submission: {
+        endpoint: '/api/contact',
+        timeout: 10000,
+        retries: 2,
+        retryBaseDelay: 800,
+        // Reintentos de la cola mientras quedan mensajes (un 5xx o un timeout no
+        // traen evento "online"): se duplica la espera hasta maxDelay
+        queueRetry: {
+            baseDelay: 30000,
+            maxDelay: 10 * 60 * 1000
+        },
+        mailtoAddress: 'contacto@divergen-t.com'
+    },
+    booking: {
+        availabilityUrl: '/api/availability',
+        bookingUrl: '/api/bookings',
+        timeZone: 'America/Mexico_City',
+        days: 14,
+        storageKey: 'divergent-bookings'
+    },
+    intake: {
+        // Ramas del asistente para un servicio sin "intake" en data/services.json
+        defaultBranches: ['profile', 'family']
+    },
+    spam: {
+        honeypotField: 'website',
+        minFillTime: 3000,
+        rateLimit: {
+            max: 3,
+            windowMs: 10 * 60 * 1000,
+            storageKey: 'divergent-submissions'
+        },
+        proofOfWork: {
+            enabled: true,
+            challengeUrl: '/api/challenge'
+        }
+    },
+    pwa: {
+        // Vacío para no registrar el service worker
+        serviceWorker: 'sw.js',
+        installSnooze: {
+            days: 30,
+            storageKey: 'divergent-install-snoozed'
+        }
+    },
+    offline: {
+        draftKey: 'divergent-contact-draft',
+        dbName: 'divergent',
+        storeName: 'submission-queue'
+    }
 };
 
 const SELECTORS = {
@@ -21,12 +152,48 @@ const SELECTORS = {
     navbar: '#navbar',
     mobileMenuBtn: '#mobile-menu-btn',
     mobileMenu: '#mobile-menu',
+    mobileMenuClose: '#mobile-menu-close',
+    mainContent: '#main-content',
+    skipLink: '.skip-link',
+    servicesGrid: '#services-grid',
+    serviceSelect: '#servicio',
+    serviceOptionTargets: '[data-service-options]',
+    footerServices: '#footer-services',
+    statNumbers: '[data-stat]',
+    testimonials: '#testimonials-carousel',
+    faqList: '#faq-list',
+    faqSearch: '#faq-search',
+    faqCategory: '#faq-category',
+    faqStatus: '[data-faq-status]',
+    structuredData: 'script[type="application/ld+json"]',
+    organizationSchema: '#organization-schema',
+    searchToggle: '#search-toggle',
+    searchDialog: '#search-dialog',
+    searchSections: 'main section[id]',
+    languageSwitcher: '#language-select',
+    themeSwitcher: '#theme-select',
+    themeColorMeta: 'meta[name="theme-color"]',
+    a11yToggle: '#a11y-toggle',
+    a11yPanel: '#a11y-panel',
+    a11yForm: '#a11y-form',
+    readingGuide: '#reading-guide',
+    readAloudPlayer: '#read-aloud-player',
+    notificationCenter: '#notification-center',
     backToTop: '#back-to-top',
     contactForm: '#contact-form',
+    formStatus: '#form-status',
     serviceCards: '.service-card',
     scrollElements: '.animate-on-scroll',
     navLinks: '.nav-link, .mobile-nav-link',
-    scrollButtons: '[data-scroll]'
+    scrollButtons: '[data-scroll]',
+    bookingDialog: '#booking-dialog',
+    bookingTriggers: '[data-booking]',
+    intakeDialog: '#intake-dialog',
+    intakeTriggers: '[data-intake]',
+    serviceDetail: '#service-detail',
+    privacyDialog: '#privacy-dialog',
+    consentBanner: '#consent-banner',
+    consentDialog: '#consent-dialog'
 };
 
 // ===================================
@@ -69,21 +236,151 @@ class Utils {
         };
     }
 
+    /**
+     * Indica si el usuario pidió reducir el movimiento (panel de accesibilidad
+     * o, por defecto, la preferencia del sistema)
+     * @returns {boolean}
+     */
+    static prefersReducedMotion() {
+        return document.documentElement.classList.contains('a11y-reduce-motion');
+    }
+
+    /**
+     * Comportamiento de scroll según la preferencia de movimiento
+     * @returns {string} - smooth | auto
+     */
+    static getScrollBehavior() {
+        return Utils.prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
     /**
      * Smooth scroll a un elemento específico
-     * @param {string} targetId - ID del elemento target
+     * @param {string|Element} target - Selector (p. ej. "#contacto") o elemento
      */
-    static smoothScrollTo(targetId) {
-        const element = document.querySelector(targetId);
+    static smoothScrollTo(target) {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
         if (element) {
-            const offsetTop = element.offsetTop - CONFIG.scrollOffset;
+            // Posición respecto al documento, también para elementos anidados
+            const offsetTop = element.getBoundingClientRect().top + window.scrollY - CONFIG.scrollOffset;
             window.scrollTo({
                 top: offsetTop,
-                behavior: 'smooth'
+                behavior: Utils.getScrollBehavior()
             });
         }
     }
 
+    /**
+     * Descarga y parsea un archivo JSON
+     * @param {string} url - URL del archivo
+     * @returns {Promise<*>} - Contenido del archivo
+     */
+    static async fetchJSON(url) {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} al cargar ${url}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Escapa texto para insertarlo en HTML
+     * @param {string} text - Texto a escapar
+     * @returns {string} - Texto escapado
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Normaliza texto para búsquedas: minúsculas y sin acentos ("Evaluación" → "evaluacion")
+     * @param {string} text - Texto
+     * @returns {string}
+     */
+    static normalizeText(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Sigue un gesto táctil sobre un elemento y al terminar informa el desplazamiento
+     * @param {Element} element - Elemento DOM
+     * @param {Function} onEnd - Recibe { dx, dy } y el evento touchend
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Deja de seguir el gesto al abortarse
+     */
+    static trackTouch(element, onEnd, { signal } = {}) {
+        let start = null;
+
+        element.addEventListener('touchstart', (e) => {
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true, signal });
+
+        element.addEventListener('touchend', (e) => {
+            if (!start) return;
+
+            const { clientX, clientY } = e.changedTouches[0];
+            onEnd({ dx: clientX - start.x, dy: clientY - start.y }, e);
+            start = null;
+        }, { signal });
+    }
+
+    /**
+     * Agrega una función a un conjunto de listeners (onChange, onRender…)
+     * @param {Set<Function>} listeners - Conjunto del emisor
+     * @param {Function} listener - Función a registrar
+     * @param {AbortSignal} [signal] - Cancela el registro al abortarse
+     * @returns {Function} - Función para cancelar el registro
+     */
+    static subscribe(listeners, listener, signal) {
+        const unsubscribe = () => {
+            listeners.delete(listener);
+            signal?.removeEventListener('abort', unsubscribe);
+        };
+
+        if (signal?.aborted) return unsubscribe;
+
+        listeners.add(listener);
+        signal?.addEventListener('abort', unsubscribe, { once: true });
+        return unsubscribe;
+    }
+
+    /**
+     * Indica si un gesto fue un toque (casi sin desplazamiento vertical)
+     * @param {Object} delta - Desplazamiento { dx, dy } de trackTouch
+     * @returns {boolean}
+     */
+    static isTap({ dy }) {
+        return Math.abs(dy) < CONFIG.touch.tapThreshold;
+    }
+
+    /**
+     * Dirección de un deslizamiento horizontal
+     * @param {Object} delta - Desplazamiento { dx, dy } de trackTouch
+     * @returns {string|null} - left | right, o null si no fue un deslizamiento
+     */
+    static getSwipeDirection({ dx, dy }) {
+        if (Math.abs(dx) < CONFIG.touch.swipeThreshold || Math.abs(dx) < Math.abs(dy)) {
+            return null;
+        }
+        return dx < 0 ? 'left' : 'right';
+    }
+
+    /**
+     * Espera un tiempo determinado
+     * @param {number} ms - Tiempo de espera en ms
+     * @returns {Promise} - Promesa que se resuelve al terminar la espera
+     */
+    static wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
     /**
      * Añade clase con animación
      * @param {Element} element - Elemento DOM
@@ -104,706 +401,6952 @@ class Utils {
 }
 
 // ===================================
-// GESTOR DE CARGA (LOADING)
+// INTERNACIONALIZACIÓN (i18n)
 // ===================================
 
-class LoadingManager {
-    constructor() {
-        this.loadingElement = document.querySelector(SELECTORS.loading);
-        this.startTime = Date.now();
-    }
-
+class I18nManager {
     /**
-     * Inicializa el loading manager
+     * @param {Object} [options] - Configuración de idiomas
      */
-    init() {
-        if (this.loadingElement) {
-            // Asegurar tiempo mínimo de loading para mejor UX
-            window.addEventListener('load', () => {
-                const elapsedTime = Date.now() - this.startTime;
-                const remainingTime = Math.max(0, CONFIG.loadingMinTime - elapsedTime);
-                
-                setTimeout(() => {
-                    this.hideLoading();
-                }, remainingTime);
-            });
-        }
+    constructor(options = CONFIG.i18n) {
+        this.languages = options.languages;
+        this.defaultLanguage = options.defaultLanguage;
+        this.storageKey = options.storageKey;
+        this.path = options.path;
+        this.language = this.defaultLanguage;
+        this.dictionaries = {};
+        this.listeners = new Set();
+        this.switcher = null;
     }
 
     /**
-     * Oculta la pantalla de carga
+     * Locale de Intl del idioma activo (por ejemplo es-MX)
+     * @returns {string}
      */
-    hideLoading() {
-        if (this.loadingElement) {
-            this.loadingElement.classList.add('hidden');
-            document.body.style.overflow = '';
-            
-            // Remover elemento del DOM después de la animación
-            setTimeout(() => {
-                this.loadingElement.remove();
-            }, 500);
-        }
-    }
-}
-
-// ===================================
-// GESTOR DE NAVEGACIÓN
-// ===================================
-
-class NavigationManager {
-    constructor() {
-        this.navbar = document.querySelector(SELECTORS.navbar);
-        this.mobileMenuBtn = document.querySelector(SELECTORS.mobileMenuBtn);
-        this.mobileMenu = document.querySelector(SELECTORS.mobileMenu);
-        this.navLinks = document.querySelectorAll(SELECTORS.navLinks);
-        this.scrollButtons = document.querySelectorAll(SELECTORS.scrollButtons);
-        this.isMenuOpen = false;
-        this.lastScrollY = window.scrollY;
+    get locale() {
+        return this.languages[this.language].locale;
     }
 
     /**
-     * Inicializa el navigation manager
+     * Carga los diccionarios y aplica el idioma preferido
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
      */
-    init() {
-        this.bindEvents();
-        this.handleScroll(); // Llamada inicial
+    async init({ signal } = {}) {
+        await this.loadDictionary(this.defaultLanguage);
+        await this.setLanguage(this.getPreferredLanguage(), { persist: false });
+        this.initSwitcher(signal);
     }
 
     /**
-     * Vincula eventos de navegación
+     * Determina el idioma inicial: preferencia guardada, idioma del navegador o el predeterminado
+     * @returns {string} - Código de idioma
      */
-    bindEvents() {
-        // Mobile menu toggle
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.addEventListener('click', () => this.toggleMobileMenu());
+    getPreferredLanguage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Sin almacenamiento se usa el idioma del navegador
         }
 
-        // Navigation links
-        this.navLinks.forEach(link => {
-            link.addEventListener('click', (e) => this.handleNavLinkClick(e));
-        });
+        if (stored && this.languages[stored]) {
+            return stored;
+        }
 
-        // Scroll buttons
-        this.scrollButtons.forEach(button => {
-            button.addEventListener('click', (e) => this.handleScrollButtonClick(e));
-        });
+        const browserLanguages = navigator.languages || [navigator.language];
+        const match = browserLanguages
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => this.languages[language]);
 
-        // Scroll events
-        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 16));
+        return match || this.defaultLanguage;
+    }
 
-        // Resize events
-        window.addEventListener('resize', Utils.debounce(() => this.handleResize()));
+    /**
+     * Descarga el diccionario de un idioma si aún no está cargado
+     * @param {string} language - Código de idioma
+     */
+    async loadDictionary(language) {
+        if (this.dictionaries[language]) return;
 
-        // Close mobile menu on outside click
-        document.addEventListener('click', (e) => this.handleOutsideClick(e));
+        try {
+            this.dictionaries[language] = await Utils.fetchJSON(`${this.path}/${language}.json`);
+        } catch (error) {
+            console.error(`Error al cargar el idioma "${language}":`, error);
+            this.dictionaries[language] = {};
+        }
     }
 
     /**
-     * Toggle del menú móvil
+     * Cambia el idioma activo
+     * @param {string} language - Código de idioma
+     * @param {Object} [options] - Opciones
+     * @param {boolean} [options.persist] - Guardar la preferencia
      */
-    toggleMobileMenu() {
-        this.isMenuOpen = !this.isMenuOpen;
-        
-        if (this.mobileMenu) {
-            this.mobileMenu.classList.toggle('active', this.isMenuOpen);
+    async setLanguage(language, { persist = true } = {}) {
+        const nextLanguage = this.languages[language] ? language : this.defaultLanguage;
+        await this.loadDictionary(nextLanguage);
+
+        this.language = nextLanguage;
+        document.documentElement.lang = nextLanguage;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.storageKey, nextLanguage);
+            } catch (error) {
+                // La preferencia solo dura esta visita
+            }
         }
 
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.classList.toggle('active', this.isMenuOpen);
+        if (this.switcher) {
+            this.switcher.value = nextLanguage;
         }
 
-        // Prevenir scroll en body cuando el menú está abierto
-        document.body.style.overflow = this.isMenuOpen ? 'hidden' : '';
+        this.translateDOM();
+        this.listeners.forEach(listener => listener(nextLanguage));
     }
 
     /**
-     * Cierra el menú móvil
+     * Registra una función que se ejecuta al cambiar de idioma
+     * @param {Function} listener - Recibe el nuevo código de idioma
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela el registro al abortarse
+     * @returns {Function} - Función para cancelar el registro
      */
-    closeMobileMenu() {
-        if (this.isMenuOpen) {
-            this.toggleMobileMenu();
-        }
+    onChange(listener, { signal } = {}) {
+        return Utils.subscribe(this.listeners, listener, signal);
     }
 
     /**
-     * Maneja el click en links de navegación
-     * @param {Event} e - Evento de click
+     * Busca una clave en el diccionario de un idioma
+     * @param {string} language - Código de idioma
+     * @param {string} key - Clave con puntos (por ejemplo validation.required)
+     * @returns {*} - Valor encontrado o undefined
      */
-    handleNavLinkClick(e) {
-        e.preventDefault();
-        const href = e.currentTarget.getAttribute('href');
-        
-        if (href && href.startsWith('#')) {
-            Utils.smoothScrollTo(href);
-            this.closeMobileMenu();
-        }
+    lookup(language, key) {
+        return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.dictionaries[language]);
     }
 
     /**
-     * Maneja el click en botones de scroll
-     * @param {Event} e - Evento de click
+     * Indica si existe una traducción para la clave
+     * @param {string} key - Clave
+     * @returns {boolean}
      */
-    handleScrollButtonClick(e) {
-        const scrollTarget = e.currentTarget.getAttribute('data-scroll');
-        if (scrollTarget) {
-            Utils.smoothScrollTo(`#${scrollTarget}`);
-        }
+    has(key) {
+        return this.lookup(this.language, key) !== undefined || this.lookup(this.defaultLanguage, key) !== undefined;
     }
 
     /**
-     * Maneja el scroll de la página
+     * Traduce una clave. Si el valor tiene formas plurales ({ one, other })
+     * se elige según params.count. Los {marcadores} se sustituyen por params.
+     * @param {string} key - Clave de traducción
+     * @param {Object} [params] - Valores para los marcadores
+     * @returns {string} - Texto traducido (o la clave si no existe)
      */
-    handleScroll() {
-        const currentScrollY = window.scrollY;
-
-        // Navbar scroll effects
-        if (this.navbar) {
-            if (currentScrollY > 50) {
-                this.navbar.classList.add('scrolled');
-            } else {
-                this.navbar.classList.remove('scrolled');
-            }
-
-            // Hide/show navbar on scroll
-            if (currentScrollY > this.lastScrollY && currentScrollY > 100) {
-                this.navbar.style.transform = 'translateY(-100%)';
-            } else {
-                this.navbar.style.transform = 'translateY(0)';
-            }
+    t(key, params = {}) {
+        let value = this.lookup(this.language, key);
+        if (value === undefined) {
+            value = this.lookup(this.defaultLanguage, key);
         }
 
-        this.lastScrollY = currentScrollY;
-    }
+        if (value && typeof value === 'object' && typeof params.count === 'number') {
+            const form = new Intl.PluralRules(this.locale).select(params.count);
+            value = value[form] ?? value.other;
+        }
 
-    /**
-     * Maneja el resize de ventana
-     */
-    handleResize() {
-        // Cerrar menú móvil en pantallas grandes
-        if (window.innerWidth > 768 && this.isMenuOpen) {
-            this.closeMobileMenu();
+        if (typeof value !== 'string') {
+            return key;
         }
+
+        return value.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : params[name];
+        });
     }
 
     /**
-     * Maneja clicks fuera del menú móvil
-     * @param {Event} e - Evento de click
+     * Traduce los elementos marcados con data-i18n, data-i18n-html y data-i18n-attr
+     * @param {Element|Document} [root] - Raíz a traducir
      */
-    handleOutsideClick(e) {
-        if (this.isMenuOpen && 
-            !this.mobileMenu?.contains(e.target) && 
-            !this.mobileMenuBtn?.contains(e.target)) {
-            this.closeMobileMenu();
-        }
-    }
-}
+    translateDOM(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (this.has(element.dataset.i18n)) {
+                element.textContent = this.t(element.dataset.i18n);
+            }
+        });
 
-// ===================================
-// GESTOR DE ANIMACIONES
-// ===================================
+        // Solo para textos de los diccionarios propios que incluyen marcado
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            if (this.has(element.dataset.i18nHtml)) {
+                element.innerHTML = this.t(element.dataset.i18nHtml);
+            }
+        });
 
-class AnimationManager {
-    constructor() {
-        this.observer = null;
-        this.animatedElements = new Set();
+        // Formato: "atributo:clave;atributo:clave"
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key && this.has(key)) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
     }
 
     /**
-     * Inicializa el animation manager
+     * Formatea un número según el idioma activo
+     * @param {number} value - Número
+     * @param {Object} [options] - Opciones de Intl.NumberFormat
+     * @returns {string}
      */
-    init() {
-        this.setupIntersectionObserver();
-        this.observeElements();
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
     }
 
     /**
-     * Configura el Intersection Observer
+     * Formatea una fecha según el idioma activo
+     * @param {Date|number|string} date - Fecha
+     * @param {Object} [options] - Opciones de Intl.DateTimeFormat
+     * @returns {string}
      */
-    setupIntersectionObserver() {
-        const options = {
-            threshold: CONFIG.intersectionThreshold,
-            rootMargin: '0px 0px -50px 0px'
-        };
-
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
-                    this.animateElement(entry.target);
-                    this.animatedElements.add(entry.target);
-                }
-            });
-        }, options);
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(date));
     }
 
     /**
-     * Observa elementos para animación
+     * Devuelve la variante localizada de un archivo de datos
+     * (data/services.json → data/services.en.json)
+     * @param {string} url - URL del archivo en el idioma predeterminado
+     * @returns {string}
      */
-    observeElements() {
-        // Observar secciones principales
-        const sections = document.querySelectorAll('section');
-        sections.forEach(section => {
-            section.classList.add('animate-on-scroll');
-            this.observer.observe(section);
-        });
-
-        // Observar elementos específicos
-        const scrollElements = document.querySelectorAll(SELECTORS.scrollElements);
-        scrollElements.forEach(element => {
-            this.observer.observe(element);
-        });
+    localizeUrl(url) {
+        if (this.language === this.defaultLanguage) {
+            return url;
+        }
+        return url.replace(/(\.\w+)$/, `.${this.language}$1`);
     }
 
     /**
-     * Anima un elemento
-     * @param {Element} element - Elemento a animar
+     * Descarga un archivo de datos en el idioma activo, con el
+     * idioma predeterminado como respaldo
+     * @param {string} url - URL del archivo en el idioma predeterminado
+     * @returns {Promise<*>}
      */
-    animateElement(element) {
-        element.classList.add('animated');
+    async fetchLocalizedJSON(url) {
+        const localizedUrl = this.localizeUrl(url);
+
+        try {
+            return await Utils.fetchJSON(localizedUrl);
+        } catch (error) {
+            if (localizedUrl === url) throw error;
+            return Utils.fetchJSON(url);
+        }
     }
 
     /**
-     * Destruye el observer
+     * Configura el selector de idioma del navbar
+     * @param {AbortSignal} [signal] - Retira el evento al abortarse
      */
-    destroy() {
-        if (this.observer) {
-            this.observer.disconnect();
-        }
+    initSwitcher(signal) {
+        this.switcher = document.querySelector(SELECTORS.languageSwitcher);
+        if (!this.switcher) return;
+
+        this.switcher.innerHTML = '';
+        Object.entries(this.languages).forEach(([code, { label }]) => {
+            this.switcher.add(new Option(label, code));
+        });
+        this.switcher.value = this.language;
+        this.switcher.addEventListener('change', () => this.setLanguage(this.switcher.value), { signal });
     }
 }
 
+// Instancia compartida por todos los managers
+const i18n = new I18nManager();
+
 // ===================================
-// GESTOR DE SERVICIOS (TARJETAS)
+// CENTRO DE NOTIFICACIONES
 // ===================================
 
-class ServicesManager {
+class NotificationCenter {
     constructor() {
-        this.serviceCards = document.querySelectorAll(SELECTORS.serviceCards);
-        this.touchStartY = 0;
-        this.touchEndY = 0;
+        this.container = null;
+        this.regions = {};
+        this.visible = new Map();
+        this.queue = [];
+        this.nextId = 1;
+        this.signal = null;
     }
 
     /**
-     * Inicializa el services manager
+     * Inicializa el centro de notificaciones
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos de las notificaciones al abortarse
      */
-    init() {
-        this.bindEvents();
+    init({ signal } = {}) {
+        this.signal = signal;
+        this.createContainer();
     }
 
     /**
-     * Vincula eventos de las tarjetas de servicio
+     * Crea el contenedor y las regiones aria-live. Las regiones deben existir antes
+     * de insertar mensajes para que los lectores de pantalla los anuncien.
      */
-    bindEvents() {
-        this.serviceCards.forEach(card => {
-            // Eventos de mouse
-            card.addEventListener('mouseenter', () => this.handleCardHover(card));
-            card.addEventListener('mouseleave', () => this.handleCardLeave(card));
-            card.addEventListener('click', () => this.handleCardClick(card));
+    createContainer() {
+        if (this.container) return;
+
+        this.container = document.querySelector(SELECTORS.notificationCenter);
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.id = SELECTORS.notificationCenter.slice(1);
+            this.container.className = 'notification-center';
+            document.body.appendChild(this.container);
+        }
+
+        ['assertive', 'polite'].forEach(politeness => {
+            let region = this.container.querySelector(`[aria-live="${politeness}"]`);
+            if (!region) {
+                region = document.createElement('div');
+                region.className = `notification-region ${politeness}`;
+                region.setAttribute('aria-live', politeness);
+                region.setAttribute('aria-relevant', 'additions');
+                this.container.appendChild(region);
+            }
+            this.regions[politeness] = region;
+        });
+    }
+
+    /**
+     * Muestra una notificación; si ya hay demasiadas visibles, espera en cola
+     * @param {Object} options - Opciones de la notificación
+     * @param {string} options.message - Texto a mostrar
+     * @param {string} [options.type] - success | info | warning | error
+     * @param {number} [options.duration] - Milisegundos antes de cerrarse; 0 para no cerrarse sola
+     * @param {Array<{label: string, onClick: Function}>} [options.actions] - Botones de acción
+     * @returns {number} - Id de la notificación
+     */
+    show({ message, type = 'info', duration, actions = [] }) {
+        this.createContainer();
+
+        const notification = {
+            id: this.nextId++,
+            message,
+            type,
+            actions,
+            duration: duration ?? CONFIG.notifications.durations[type] ?? CONFIG.notifications.durations.info
+        };
+
+        if (this.visible.size >= CONFIG.notifications.maxVisible) {
+            this.queue.push(notification);
+        } else {
+            this.render(notification);
+        }
+
+        return notification.id;
+    }
+
+    /**
+     * @param {string} message - Mensaje
+     * @param {Object} [options] - Opciones adicionales de show()
+     * @returns {number}
+     */
+    success(message, options = {}) {
+        return this.show({ ...options, message, type: 'success' });
+    }
+
+    /**
+     * @param {string} message - Mensaje
+     * @param {Object} [options] - Opciones adicionales de show()
+     * @returns {number}
+     */
+    info(message, options = {}) {
+        return this.show({ ...options, message, type: 'info' });
+    }
+
+    /**
+     * @param {string} message - Mensaje
+     * @param {Object} [options] - Opciones adicionales de show()
+     * @returns {number}
+     */
+    warning(message, options = {}) {
+        return this.show({ ...options, message, type: 'warning' });
+    }
+
+    /**
+     * @param {string} message - Mensaje
+     * @param {Object} [options] - Opciones adicionales de show()
+     * @returns {number}
+     */
+    error(message, options = {}) {
+        return this.show({ ...options, message, type: 'error' });
+    }
+
+    /**
+     * Inserta la notificación en su región aria-live
+     * @param {Object} notification - Notificación a mostrar
+     */
+    render(notification) {
+        const { signal } = this;
+        const element = document.createElement('div');
+        element.className = `notification ${notification.type}`;
+
+        const text = document.createElement('p');
+        text.className = 'notification-message';
+        text.textContent = notification.message;
+        element.appendChild(text);
+
+        if (notification.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+            notification.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    this.dismiss(notification.id);
+                    action.onClick();
+                }, { signal });
+                actions.appendChild(button);
+            });
+            element.appendChild(actions);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'notification-close';
+        closeBtn.setAttribute('aria-label', i18n.t('notifications.close'));
+        closeBtn.innerHTML = '<span aria-hidden="true">×</span>';
+        closeBtn.addEventListener('click', () => this.dismiss(notification.id), { signal });
+        element.appendChild(closeBtn);
+
+        // Pausar el cierre automático mientras se lee o se interactúa
+        element.addEventListener('mouseenter', () => this.pauseTimer(notification), { signal });
+        element.addEventListener('mouseleave', () => this.resumeTimer(notification), { signal });
+        element.addEventListener('focusin', () => this.pauseTimer(notification), { signal });
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                this.resumeTimer(notification);
+            }
+        }, { signal });
+
+        const politeness = notification.type === 'error' || notification.type === 'warning' ? 'assertive' : 'polite';
+        this.regions[politeness].appendChild(element);
+
+        notification.element = element;
+        notification.remaining = notification.duration;
+        this.visible.set(notification.id, notification);
+
+        requestAnimationFrame(() => element.classList.add('visible'));
+        this.resumeTimer(notification);
+    }
+
+    /**
+     * Detiene el temporizador de cierre guardando el tiempo restante
+     * @param {Object} notification - Notificación
+     */
+    pauseTimer(notification) {
+        if (!notification.timer) return;
+
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining -= Date.now() - notification.startedAt;
+    }
+
+    /**
+     * Reanuda el temporizador de cierre con el tiempo restante
+     * @param {Object} notification - Notificación
+     */
+    resumeTimer(notification) {
+        if (!notification.duration || notification.timer) return;
+
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.dismiss(notification.id), Math.max(notification.remaining, 0));
+    }
+
+    /**
+     * Cierra una notificación y muestra la siguiente en cola
+     * @param {number} id - Id de la notificación
+     */
+    dismiss(id) {
+        const notification = this.visible.get(id);
+        if (!notification) {
+            this.queue = this.queue.filter(item => item.id !== id);
+            return;
+        }
+
+        clearTimeout(notification.timer);
+        this.visible.delete(id);
+
+        const { element } = notification;
+        element.classList.remove('visible');
+        setTimeout(() => element.remove(), Utils.prefersReducedMotion() ? 0 : CONFIG.animationDuration);
+
+        if (this.queue.length) {
+            this.render(this.queue.shift());
+        }
+    }
+
+    /**
+     * Cierra todas las notificaciones, incluidas las que esperan en cola
+     */
+    clear() {
+        this.queue = [];
+        Array.from(this.visible.keys()).forEach(id => this.dismiss(id));
+    }
+
+    /**
+     * Quita de inmediato todas las notificaciones y sus temporizadores
+     */
+    destroy() {
+        this.visible.forEach(notification => {
+            clearTimeout(notification.timer);
+            notification.element.remove();
+        });
+        this.visible.clear();
+        this.queue = [];
+        this.signal = null;
+    }
+}
+
+// Instancia compartida por todos los managers
+const notifications = new NotificationCenter();
+
+// ===================================
+// CONSENTIMIENTO Y PRIVACIDAD
+// ===================================
+
+/**
+ * Guarda las decisiones de privacidad del visitante y retiene los scripts
+ * opcionales hasta que los acepta. Un script se marca como opcional así:
+ * `<script type="text/plain" data-consent="analytics" data-src="..."></script>`
+ */
+class ConsentManager {
+    constructor() {
+        this.state = this.load();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Inicializa el consent manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        this.banner = document.querySelector(SELECTORS.consentBanner);
+        this.dialog = document.querySelector(SELECTORS.consentDialog);
+        this.form = this.dialog?.querySelector('form:not([method="dialog"])');
+        this.privacyDialog = document.querySelector(SELECTORS.privacyDialog);
+
+        this.bindEvents(signal);
+        this.updatePrivacyVersion();
+        this.activateScripts();
+
+        if (!this.state && this.banner) {
+            this.banner.hidden = false;
+        }
+
+        i18n.onChange(() => this.updatePrivacyVersion(), { signal });
+    }
+
+    /**
+     * Vincula eventos. Los enlaces pueden estar en textos traducidos, por eso se delega en document.
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-privacy-notice]')) {
+                e.preventDefault();
+                this.openNotice();
+            } else if (e.target.closest('[data-consent-settings]')) {
+                e.preventDefault();
+                this.openSettings();
+            } else if (e.target.closest('[data-consent-action]')) {
+                const action = e.target.closest('[data-consent-action]').dataset.consentAction;
+                this.saveAll(action === 'accept');
+            }
+        }, { signal });
+
+        this.form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const categories = Object.fromEntries(CONFIG.consent.categories.map(category => [
+                category,
+                Boolean(this.form.elements.namedItem(category)?.checked)
+            ]));
+            this.save(categories);
+        }, { signal });
+    }
+
+    /**
+     * Lee la decisión guardada; si el aviso de privacidad cambió de versión se vuelve a pedir
+     * @returns {{version: string, decidedAt: string, categories: Object<string, boolean>}|null}
+     */
+    load() {
+        try {
+            const state = JSON.parse(localStorage.getItem(CONFIG.consent.storageKey));
+            return state && state.version === CONFIG.privacy.version ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Indica si una categoría está permitida. Las necesarias siempre lo están.
+     * @param {string} category - Categoría (p. ej. analytics)
+     * @returns {boolean}
+     */
+    has(category) {
+        return category === 'necessary' || Boolean(this.state?.categories?.[category]);
+    }
+
+    /**
+     * Registra una función que se llama cada vez que cambian las preferencias
+     * @param {Function} listener - Recibe el nuevo estado
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    onChange(listener, { signal } = {}) {
+        return Utils.subscribe(this.listeners, listener, signal);
+    }
+
+    /**
+     * Ejecuta una función en cuanto una categoría esté permitida (ahora o más adelante)
+     * @param {string} category - Categoría
+     * @param {Function} callback - Función a ejecutar una sola vez
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la espera al abortarse
+     * @returns {Function} - Función para cancelar la espera
+     */
+    whenGranted(category, callback, { signal } = {}) {
+        if (signal?.aborted) {
+            return () => {};
+        }
+
+        if (this.has(category)) {
+            callback();
+            return () => {};
+        }
+
+        const unsubscribe = this.onChange(() => {
+            if (this.has(category)) {
+                unsubscribe();
+                callback();
+            }
+        }, { signal });
+        return unsubscribe;
+    }
+
+    /**
+     * Guarda las preferencias y activa lo permitido
+     * @param {Object<string, boolean>} categories - Decisión por categoría
+     */
+    save(categories) {
+        this.state = {
+            version: CONFIG.privacy.version,
+            decidedAt: new Date().toISOString(),
+            categories
+        };
+
+        try {
+            localStorage.setItem(CONFIG.consent.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            // La decisión solo dura esta visita
+        }
+
+        if (this.banner) {
+            this.banner.hidden = true;
+        }
+        this.closeDialog(this.dialog);
+
+        this.activateScripts();
+        this.listeners.forEach(listener => listener(this.state));
+    }
+
+    /**
+     * Acepta o rechaza todas las categorías opcionales
+     * @param {boolean} granted - true para aceptar
+     */
+    saveAll(granted) {
+        this.save(Object.fromEntries(CONFIG.consent.categories.map(category => [category, granted])));
+    }
+
+    /**
+     * Carga los scripts retenidos cuyas categorías ya se aceptaron. Revocar el permiso
+     * no descarga lo ya ejecutado; los managers deben escuchar onChange para detenerse.
+     */
+    activateScripts() {
+        document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+            if (!this.has(placeholder.dataset.consent)) return;
+
+            const script = document.createElement('script');
+            Array.from(placeholder.attributes)
+                .filter(({ name }) => !['type', 'data-src', 'data-consent'].includes(name))
+                .forEach(({ name, value }) => script.setAttribute(name, value));
+
+            if (placeholder.dataset.src) {
+                script.src = placeholder.dataset.src;
+            } else {
+                script.textContent = placeholder.textContent;
+            }
+            placeholder.replaceWith(script);
+        });
+    }
+
+    /**
+     * Abre un diálogo nativo
+     * @param {HTMLDialogElement} dialog - Diálogo
+     */
+    showDialog(dialog) {
+        if (!dialog || dialog.open) return;
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+    }
+
+    /**
+     * Cierra un diálogo nativo
+     * @param {HTMLDialogElement} dialog - Diálogo
+     */
+    closeDialog(dialog) {
+        if (!dialog?.open) return;
+
+        if (typeof dialog.close === 'function') {
+            dialog.close();
+        } else {
+            dialog.removeAttribute('open');
+        }
+    }
+
+    /**
+     * Abre las preferencias con la decisión actual marcada
+     */
+    openSettings() {
+        CONFIG.consent.categories.forEach(category => {
+            const checkbox = this.form?.elements.namedItem(category);
+            if (checkbox) {
+                checkbox.checked = this.has(category);
+            }
+        });
+        this.showDialog(this.dialog);
+    }
+
+    /**
+     * Abre el aviso de privacidad
+     */
+    openNotice() {
+        this.showDialog(this.privacyDialog);
+    }
+
+    /**
+     * Muestra la versión vigente del aviso de privacidad
+     */
+    updatePrivacyVersion() {
+        const element = this.privacyDialog?.querySelector('#privacy-version');
+        if (element) {
+            element.textContent = i18n.t('privacy.version', { version: CONFIG.privacy.version });
+        }
+    }
+
+    /**
+     * Sustituye la casilla de aceptación del aviso por la versión y el momento
+     * en que se aceptó, para guardarlos junto con el envío
+     * @param {Object} data - Datos del formulario
+     * @returns {Object}
+     */
+    stampPrivacy(data) {
+        if (!data.privacyConsent) {
+            return data;
+        }
+
+        return {
+            ...data,
+            privacyConsent: 'accepted',
+            privacyVersion: CONFIG.privacy.version,
+            privacyAcceptedAt: new Date().toISOString()
+        };
+    }
+}
+
+// Instancia compartida por todos los managers
+const consent = new ConsentManager();
+
+// ===================================
+// ANALÍTICA
+// ===================================
+
+/**
+ * Registra eventos de uso anónimos y los envía por lotes con sendBeacon.
+ * Solo funciona con el consentimiento "analytics"; no usa cookies ni identificadores
+ * y los eventos solo llevan propiedades primitivas cortas (nunca valores de campos).
+ */
+class AnalyticsManager {
+    constructor() {
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * Inicializa el analytics manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        // Si se revoca el permiso, lo pendiente no se envía
+        consent.onChange(() => {
+            if (!this.isEnabled()) {
+                this.queue = [];
+                clearTimeout(this.timer);
+                this.timer = null;
+            }
+        }, { signal });
+
+        // Al cerrar o cambiar de pestaña puede no haber otra oportunidad de enviar
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+    }
+
+    /**
+     * Envía lo pendiente antes de retirar los eventos
+     */
+    destroy() {
+        this.flush();
+    }
+
+    /**
+     * Indica si se pueden registrar eventos
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(CONFIG.analytics.endpoint) && consent.has('analytics');
+    }
+
+    /**
+     * Registra un evento
+     * @param {string} name - Nombre del evento (p. ej. form_start)
+     * @param {Object} [props] - Propiedades; se descartan las que no son texto, número o booleano
+     */
+    track(name, props = {}) {
+        if (!this.isEnabled()) return;
+
+        this.queue.push({
+            name,
+            props: this.sanitize(props),
+            page: location.pathname,
+            language: i18n.language,
+            time: Date.now()
+        });
+
+        if (this.queue.length >= CONFIG.analytics.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), CONFIG.analytics.flushInterval);
+        }
+    }
+
+    /**
+     * Deja solo propiedades primitivas y recorta los textos
+     * @param {Object} props - Propiedades del evento
+     * @returns {Object}
+     */
+    sanitize(props) {
+        return Object.fromEntries(Object.entries(props)
+            .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+            .map(([key, value]) => [key, typeof value === 'string' ? value.slice(0, CONFIG.analytics.maxValueLength) : value]));
+    }
+
+    /**
+     * Envía los eventos pendientes
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (!this.queue.length) return;
+
+        const body = JSON.stringify({ events: this.queue.splice(0) });
+        const sent = typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(CONFIG.analytics.endpoint, new Blob([body], { type: 'application/json' }));
+
+        if (!sent) {
+            fetch(CONFIG.analytics.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                credentials: 'omit',
+                keepalive: true
+            }).catch(() => {
+                // La analítica nunca debe afectar la navegación
+            });
+        }
+    }
+}
+
+// Instancia compartida por todos los managers
+const analytics = new AnalyticsManager();
+
+// ===================================
+// BUS DE EVENTOS
+// ===================================
+
+/**
+ * Publicación/suscripción entre managers y con código externo
+ * (window.divergentApp.events). Solo se aceptan los tipos del catálogo, cada uno
+ * con las propiedades que lleva su detalle; así una errata falla al momento en
+ * vez de quedarse sin suscriptores.
+ */
+class EventBus {
+    constructor() {
+        this.types = new Map(Object.entries(EventBus.TYPES));
+        // Tipo → Map(función suscrita → { handler, unsubscribe }). La clave es la función
+        // original para que off() también encuentre las suscripciones de once()
+        this.listeners = new Map();
+    }
+
+    /**
+     * Catálogo de eventos: tipo → propiedades del detalle
+     * @returns {Object<string, Array<string>>}
+     */
+    static get TYPES() {
+        return {
+            // Una tarjeta de servicio cambia de cara (clic, toque, teclado o búsqueda)
+            'service:flipped': ['serviceId', 'flipped'],
+            // Envío aceptado por algún transporte: json, queue o mailto
+            'form:submitted': ['form', 'transport'],
+            // Envío rechazado; error suele ser un SubmissionError
+            'form:failed': ['form', 'error'],
+            // Sección marcada en el menú al desplazarse; previousSectionId es null la primera vez
+            'nav:section-changed': ['sectionId', 'previousSectionId'],
+            // Menú móvil abierto o cerrado
+            'menu:toggled': ['open']
+        };
+    }
+
+    /**
+     * Agrega un tipo de evento al catálogo (p. ej. desde un manager externo)
+     * @param {string} type - Tipo con la forma "ámbito:acción"
+     * @param {Array<string>} [keys] - Propiedades del detalle
+     */
+    define(type, keys = []) {
+        if (this.types.has(type)) {
+            throw new Error(`El evento "${type}" ya está definido`);
+        }
+        this.types.set(type, keys);
+    }
+
+    /**
+     * Verifica que el tipo exista en el catálogo
+     * @param {string} type - Tipo de evento
+     */
+    assertType(type) {
+        if (!this.types.has(type)) {
+            throw new TypeError(`Evento desconocido: "${type}"`);
+        }
+    }
+
+    /**
+     * Suscribe una función a un tipo de evento
+     * @param {string} type - Tipo de evento
+     * @param {Function} listener - Recibe el detalle del evento
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    on(type, listener, { signal } = {}) {
+        return this.subscribe(type, listener, listener, signal);
+    }
+
+    /**
+     * Suscribe una función solo a la siguiente vez que ocurra el evento
+     * @param {string} type - Tipo de evento
+     * @param {Function} listener - Recibe el detalle del evento
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    once(type, listener, { signal } = {}) {
+        const unsubscribe = this.subscribe(type, listener, (detail) => {
+            unsubscribe();
+            listener(detail);
+        }, signal);
+        return unsubscribe;
+    }
+
+    /**
+     * Registra el handler de una suscripción. Suscribir de nuevo la misma función
+     * reemplaza la suscripción anterior.
+     * @param {string} type - Tipo de evento
+     * @param {Function} listener - Función que suscribió quien llama (clave para off)
+     * @param {Function} handler - Función que se ejecuta al publicar el evento
+     * @param {AbortSignal} [signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    subscribe(type, listener, handler, signal) {
+        this.assertType(type);
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Map());
+        }
+
+        const subscriptions = this.listeners.get(type);
+        const entry = { handler };
+        entry.unsubscribe = () => {
+            // Una suscripción reemplazada ya no debe quitar a la nueva
+            if (subscriptions.get(listener) === entry) {
+                subscriptions.delete(listener);
+            }
+            signal?.removeEventListener('abort', entry.unsubscribe);
+        };
+
+        if (signal?.aborted) return entry.unsubscribe;
+
+        subscriptions.get(listener)?.unsubscribe();
+        subscriptions.set(listener, entry);
+        signal?.addEventListener('abort', entry.unsubscribe, { once: true });
+        return entry.unsubscribe;
+    }
+
+    /**
+     * Cancela una suscripción hecha con on() u once()
+     * @param {string} type - Tipo de evento
+     * @param {Function} listener - La misma función que se suscribió
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.get(listener)?.unsubscribe();
+    }
+
+    /**
+     * Publica un evento. Un suscriptor que falla no afecta a los demás ni a quien publica.
+     * @param {string} type - Tipo de evento
+     * @param {Object} [detail] - Detalle con las propiedades del catálogo
+     */
+    emit(type, detail = {}) {
+        this.assertType(type);
+
+        const missing = this.types.get(type).filter(key => !(key in detail));
+        if (missing.length) {
+            console.warn(`Evento "${type}" sin: ${missing.join(', ')}`);
+        }
+
+        // Copia: un suscriptor puede cancelarse mientras se recorre la lista
+        [...(this.listeners.get(type)?.values() || [])].forEach(({ handler }) => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`❌ Error en un suscriptor de "${type}":`, error);
+            }
+        });
+    }
+}
+
+// Instancia compartida por todos los managers
+const events = new EventBus();
+
+// ===================================
+// GESTOR DE CARGA (LOADING)
+// ===================================
+
+class LoadingManager {
+    constructor() {
+        this.loadingElement = document.querySelector(SELECTORS.loading);
+        this.startTime = Date.now();
+        this.hidden = new Promise(resolve => {
+            this.resolveHidden = resolve;
+        });
+    }
+
+    /**
+     * Inicializa el loading manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        if (!this.loadingElement?.isConnected) {
+            this.resolveHidden();
+            return;
+        }
+
+        // Asegurar tiempo mínimo de loading para mejor UX
+        const scheduleHide = () => {
+            const elapsedTime = Date.now() - this.startTime;
+            const remainingTime = Math.max(0, CONFIG.loadingMinTime - elapsedTime);
+            
+            setTimeout(() => {
+                this.hideLoading();
+            }, remainingTime);
+        };
+
+        // Al reiniciar la app, load ya ocurrió
+        if (document.readyState === 'complete') {
+            scheduleHide();
+        } else {
+            window.addEventListener('load', scheduleHide, { signal });
+        }
+    }
+
+    /**
+     * Espera a que la pantalla de carga desaparezca
+     * @returns {Promise<void>}
+     */
+    whenHidden() {
+        return this.hidden;
+    }
+
+    /**
+     * Oculta la pantalla de carga
+     */
+    hideLoading() {
+        if (this.loadingElement) {
+            this.loadingElement.classList.add('hidden');
+            document.body.style.overflow = '';
+            
+            // Remover elemento del DOM después de la animación
+            setTimeout(() => {
+                this.loadingElement.remove();
+            }, 500);
+        }
+
+        this.resolveHidden();
+    }
+}
+
+// ===================================
+// GESTOR DE ACCESIBILIDAD
+// ===================================
+
+class AccessibilityManager {
+    constructor() {
+        this.root = document.documentElement;
+        this.toggleBtn = document.querySelector(SELECTORS.a11yToggle);
+        this.panel = document.querySelector(SELECTORS.a11yPanel);
+        this.form = document.querySelector(SELECTORS.a11yForm);
+        this.readingGuide = document.querySelector(SELECTORS.readingGuide);
+        this.settings = this.loadSettings();
+        this.isOpen = false;
+    }
+
+    /**
+     * Clases que se aplican a <html> por cada preferencia activa
+     */
+    static get CLASS_MAP() {
+        return {
+            highContrast: 'a11y-high-contrast',
+            grayscale: 'a11y-grayscale',
+            dyslexiaFont: 'a11y-dyslexia',
+            spacing: 'a11y-spacing',
+            reduceMotion: 'a11y-reduce-motion'
+        };
+    }
+
+    /**
+     * Preferencias iniciales; el movimiento reducido sigue al sistema operativo
+     * @returns {Object}
+     */
+    static getDefaults() {
+        return {
+            textScale: 100,
+            highContrast: false,
+            grayscale: false,
+            dyslexiaFont: false,
+            spacing: false,
+            readingGuide: false,
+            reduceMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        };
+    }
+
+    /**
+     * Inicializa el accessibility manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        this.apply();
+
+        if (this.panel && this.form) {
+            this.syncForm();
+            this.bindEvents(signal);
+        }
+    }
+
+    /**
+     * Vincula eventos del panel
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.toggleBtn.addEventListener('click', () => this.togglePanel(), { signal });
+        this.form.addEventListener('input', () => this.handleChange(), { signal });
+        this.form.querySelector('#a11y-reset').addEventListener('click', () => this.reset(), { signal });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.closePanel();
+                this.toggleBtn.focus();
+            }
+        }, { signal });
+
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !this.panel.contains(e.target) && !this.toggleBtn.contains(e.target)) {
+                this.closePanel();
+            }
+        }, { signal });
+
+        // La guía de lectura sigue al puntero y al foco del teclado
+        document.addEventListener('pointermove', (e) => this.moveReadingGuide(e.clientY), { signal });
+        document.addEventListener('focusin', (e) => {
+            const rect = e.target.getBoundingClientRect();
+            this.moveReadingGuide(rect.top + rect.height / 2);
+        }, { signal });
+
+        i18n.onChange(() => this.updateScaleOutput(), { signal });
+    }
+
+    /**
+     * Lee las preferencias guardadas
+     * @returns {Object}
+     */
+    loadSettings() {
+        const defaults = AccessibilityManager.getDefaults();
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(CONFIG.accessibility.storageKey)) };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Guarda las preferencias
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(CONFIG.accessibility.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            // Las preferencias solo duran esta visita
+        }
+    }
+
+    /**
+     * Aplica las preferencias al documento
+     */
+    apply() {
+        const { textScale, readingGuide } = this.settings;
+
+        this.root.style.fontSize = textScale === 100 ? '' : `${textScale}%`;
+
+        Object.entries(AccessibilityManager.CLASS_MAP).forEach(([setting, className]) => {
+            this.root.classList.toggle(className, Boolean(this.settings[setting]));
+        });
+
+        if (this.readingGuide) {
+            this.readingGuide.hidden = !readingGuide;
+        }
+    }
+
+    /**
+     * Copia las preferencias a los controles del panel
+     */
+    syncForm() {
+        Array.from(this.form.elements).forEach(control => {
+            if (!(control.name in this.settings)) return;
+
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(this.settings[control.name]);
+            } else {
+                control.value = this.settings[control.name];
+            }
+        });
+        this.updateScaleOutput();
+    }
+
+    /**
+     * Lee los controles del panel y aplica los cambios
+     */
+    handleChange() {
+        Array.from(this.form.elements).forEach(control => {
+            if (!(control.name in this.settings)) return;
+            this.settings[control.name] = control.type === 'checkbox' ? control.checked : Number(control.value);
+        });
+
+        this.apply();
+        this.saveSettings();
+        this.updateScaleOutput();
+    }
+
+    /**
+     * Regresa a las preferencias iniciales
+     */
+    reset() {
+        this.settings = AccessibilityManager.getDefaults();
+        try {
+            localStorage.removeItem(CONFIG.accessibility.storageKey);
+        } catch (error) {
+            // Nada que limpiar
+        }
+        this.apply();
+        this.syncForm();
+    }
+
+    /**
+     * Muestra el porcentaje de texto actual
+     */
+    updateScaleOutput() {
+        const output = this.form?.querySelector('output');
+        if (output) {
+            output.textContent = i18n.formatNumber(this.settings.textScale / 100, { style: 'percent' });
+        }
+    }
+
+    /**
+     * Abre o cierra el panel
+     */
+    togglePanel() {
+        if (this.isOpen) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    /**
+     * Abre el panel y mueve el foco al primer control
+     */
+    openPanel() {
+        this.isOpen = true;
+        this.panel.hidden = false;
+        this.toggleBtn.setAttribute('aria-expanded', 'true');
+        this.form.elements[0]?.focus();
+    }
+
+    /**
+     * Cierra el panel
+     */
+    closePanel() {
+        this.isOpen = false;
+        this.panel.hidden = true;
+        this.toggleBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Coloca la guía de lectura a la altura indicada
+     * @param {number} y - Posición vertical en px
+     */
+    moveReadingGuide(y) {
+        if (this.readingGuide && this.settings.readingGuide) {
+            this.readingGuide.style.transform = `translateY(${Math.round(y)}px)`;
+        }
+    }
+
+    /**
+     * Cierra el panel; las preferencias ya aplicadas se conservan
+     */
+    destroy() {
+        this.closePanel();
+    }
+}
+
+// ===================================
+// GESTOR DE TEMA (CLARO / OSCURO)
+// ===================================
+
+/**
+ * Aplica el tema con data-theme en <html>. La preferencia puede ser
+ * "system" (sigue a prefers-color-scheme), "light" o "dark".
+ */
+class ThemeManager {
+    /**
+     * @param {Object} [options] - Configuración del tema
+     */
+    constructor(options = CONFIG.theme) {
+        this.options = options;
+        this.root = document.documentElement;
+        this.switcher = document.querySelector(SELECTORS.themeSwitcher);
+        this.themeColorMeta = document.querySelector(SELECTORS.themeColorMeta);
+        this.media = window.matchMedia('(prefers-color-scheme: dark)');
+        this.preference = this.loadPreference();
+        this.listeners = new Set();
+    }
+
+    /**
+     * Preferencias válidas
+     */
+    static get PREFERENCES() {
+        return ['system', 'light', 'dark'];
+    }
+
+    /**
+     * Tema efectivo según la preferencia y el sistema operativo
+     * @returns {string} - "light" o "dark"
+     */
+    get theme() {
+        if (this.preference !== 'system') {
+            return this.preference;
+        }
+        return this.media.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Inicializa el theme manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        this.apply();
+
+        // Con "system" el tema cambia junto con el sistema operativo
+        this.media.addEventListener('change', () => {
+            if (this.preference === 'system') {
+                this.apply();
+            }
+        }, { signal });
+
+        if (this.switcher) {
+            this.switcher.value = this.preference;
+            this.switcher.addEventListener('change', () => this.setPreference(this.switcher.value), { signal });
+        }
+    }
+
+    /**
+     * Lee la preferencia guardada
+     * @returns {string}
+     */
+    loadPreference() {
+        try {
+            const stored = localStorage.getItem(this.options.storageKey);
+            return ThemeManager.PREFERENCES.includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    /**
+     * Cambia la preferencia de tema y la guarda
+     * @param {string} preference - "system", "light" o "dark"
+     */
+    setPreference(preference) {
+        this.preference = ThemeManager.PREFERENCES.includes(preference) ? preference : 'system';
+
+        try {
+            if (this.preference === 'system') {
+                localStorage.removeItem(this.options.storageKey);
+            } else {
+                localStorage.setItem(this.options.storageKey, this.preference);
+            }
+        } catch (error) {
+            // La preferencia solo dura esta visita
+        }
+
+        if (this.switcher) {
+            this.switcher.value = this.preference;
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Aplica el tema efectivo al documento
+     */
+    apply() {
+        const theme = this.theme;
+        const changed = this.root.dataset.theme !== theme;
+
+        this.root.dataset.theme = theme;
+
+        if (this.themeColorMeta && this.options.colors[theme]) {
+            this.themeColorMeta.setAttribute('content', this.options.colors[theme]);
+        }
+
+        if (changed) {
+            this.listeners.forEach(listener => listener(theme));
+        }
+    }
+
+    /**
+     * Registra una función que se ejecuta al cambiar el tema efectivo
+     * @param {Function} listener - Recibe "light" o "dark"
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela el registro al abortarse
+     * @returns {Function} - Función para cancelar el registro
+     */
+    onChange(listener, { signal } = {}) {
+        return Utils.subscribe(this.listeners, listener, signal);
+    }
+}
+
+// ===================================
+// GESTOR DE NAVEGACIÓN
+// ===================================
+
+class NavigationManager {
+    /**
+     * @param {LoadingManager} [loadingManager] - El enlace inicial (#seccion) se sigue al ocultar la pantalla de carga
+     */
+    constructor(loadingManager = null) {
+        this.loadingManager = loadingManager;
+        this.navbar = document.querySelector(SELECTORS.navbar);
+        this.mobileMenuBtn = document.querySelector(SELECTORS.mobileMenuBtn);
+        this.mobileMenu = document.querySelector(SELECTORS.mobileMenu);
+        this.mobileMenuClose = document.querySelector(SELECTORS.mobileMenuClose);
+        this.navLinks = document.querySelectorAll(SELECTORS.navLinks);
+        this.scrollButtons = document.querySelectorAll(SELECTORS.scrollButtons);
+        this.mainContent = document.querySelector(SELECTORS.mainContent);
+        this.skipLink = document.querySelector(SELECTORS.skipLink);
+        this.isMenuOpen = false;
+        // Elementos que se volvieron inertes al abrir el menú
+        this.inertElements = [];
+        this.lastScrollY = window.scrollY;
+        // Secciones enlazadas desde el menú, en orden de aparición
+        this.sections = [...new Set(Array.from(this.navLinks, link => link.getAttribute('href')))]
+            .filter(href => href?.startsWith('#'))
+            .map(href => document.getElementById(href.slice(1)))
+            .filter(Boolean);
+        this.activeSection = null;
+        // Sección a la que se está desplazando por un clic o por el historial
+        this.pendingSection = null;
+    }
+
+    /**
+     * Inicializa el navigation manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        // Con la pantalla de carga visible el navegador no puede llevar al enlace inicial
+        const initialSection = this.getSectionFromHash(location.hash);
+        this.pendingSection = initialSection;
+
+        this.bindEvents(signal);
+        this.handleScroll(); // Llamada inicial
+
+        if (initialSection) {
+            (this.loadingManager?.whenHidden() ?? Promise.resolve())
+                .then(() => this.scrollToSection(initialSection, { instant: true }));
+        }
+    }
+
+    /**
+     * Vincula eventos de navegación
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        // Mobile menu toggle
+        if (this.mobileMenuBtn) {
+            this.mobileMenuBtn.addEventListener('click', () => this.toggleMobileMenu(), { signal });
+        }
+
+        // El botón de la barra queda inerte con el menú abierto; este es el que lo cierra
+        this.mobileMenuClose?.addEventListener('click', () => this.closeMobileMenu(), { signal });
+
+        document.addEventListener('keydown', (e) => this.handleMenuKeyDown(e), { signal });
+
+        // Saltar al contenido sin cambiar la URL
+        if (this.skipLink && this.mainContent) {
+            this.skipLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.mainContent.focus();
+            }, { signal });
+        }
+
+        // Navigation links
+        this.navLinks.forEach(link => {
+            link.addEventListener('click', (e) => this.handleNavLinkClick(e), { signal });
+        });
+
+        // Scroll buttons
+        this.scrollButtons.forEach(button => {
+            button.addEventListener('click', (e) => this.handleScrollButtonClick(e), { signal });
+        });
+
+        // Scroll events
+        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 16), { signal });
+
+        // Atrás/adelante entre secciones
+        window.addEventListener('popstate', () => {
+            const section = this.getSectionFromHash(location.hash) || this.sections[0];
+            if (section && section !== this.activeSection) this.scrollToSection(section);
+        }, { signal });
+
+        // Si el usuario toma el control, el desplazamiento pendiente deja de importar
+        ['wheel', 'touchstart', 'keydown'].forEach(type => {
+            window.addEventListener(type, () => {
+                this.pendingSection = null;
+            }, { passive: true, signal });
+        });
+
+        // Resize events
+        window.addEventListener('resize', Utils.debounce(() => this.handleResize()), { signal });
+
+        // Close mobile menu on outside click
+        document.addEventListener('click', (e) => this.handleOutsideClick(e), { signal });
+    }
+
+    /**
+     * Cierra el menú para no dejar la página inerte ni sin scroll, y olvida la sección activa
+     */
+    destroy() {
+        this.closeMobileMenu();
+        this.activeSection = null;
+        this.pendingSection = null;
+    }
+
+    /**
+     * Toggle del menú móvil
+     */
+    toggleMobileMenu() {
+        this.isMenuOpen = !this.isMenuOpen;
+        
+        if (this.mobileMenu) {
+            this.mobileMenu.classList.toggle('active', this.isMenuOpen);
+        }
+
+        if (this.mobileMenuBtn) {
+            this.mobileMenuBtn.classList.toggle('active', this.isMenuOpen);
+            this.mobileMenuBtn.setAttribute('aria-expanded', String(this.isMenuOpen));
+        }
+
+        // Prevenir scroll en body cuando el menú está abierto
+        document.body.style.overflow = this.isMenuOpen ? 'hidden' : '';
+        this.setPageInert(this.isMenuOpen);
+
+        if (this.isMenuOpen) {
+            this.getMenuLinks()[0]?.focus();
+        }
+
+        events.emit('menu:toggled', { open: this.isMenuOpen });
+    }
+
+    /**
+     * Cierra el menú móvil
+     */
+    closeMobileMenu() {
+        if (!this.isMenuOpen) return;
+
+        const hadFocus = this.mobileMenu?.contains(document.activeElement);
+        this.toggleMobileMenu();
+
+        // El foco no puede quedarse en un enlace que ya no se ve
+        if (hadFocus) {
+            this.mobileMenuBtn?.focus();
+        }
+    }
+
+    /**
+     * Enlaces visibles del menú móvil
+     * @returns {Array<Element>}
+     */
+    getMenuLinks() {
+        return this.mobileMenu ? Array.from(this.mobileMenu.querySelectorAll('a[href]')) : [];
+    }
+
+    /**
+     * Vuelve inerte todo lo que no es el menú mientras está abierto, incluidos
+     * los demás controles de la barra de navegación
+     * @param {boolean} inert - true para desactivar el resto de la página
+     */
+    setPageInert(inert) {
+        if (!inert) {
+            this.inertElements.forEach(element => element.removeAttribute('inert'));
+            this.inertElements = [];
+            return;
+        }
+
+        // Los hermanos de cada ancestro del menú, hasta <body>. Los avisos deben
+        // seguir anunciándose y los diálogos ya son modales
+        this.inertElements = [];
+        for (let node = this.mobileMenu; node && node !== document.body; node = node.parentElement) {
+            Array.from(node.parentElement?.children || [])
+                .filter(element => element !== node
+                    && !element.matches('script, dialog, #notification-center')
+                    && !element.hasAttribute('inert'))
+                .forEach(element => this.inertElements.push(element));
+        }
+        this.inertElements.forEach(element => element.setAttribute('inert', ''));
+    }
+
+    /**
+     * Cierra el menú con Escape y mantiene el foco dentro del menú con Tab
+     * @param {KeyboardEvent} e - Evento de teclado
+     */
+    handleMenuKeyDown(e) {
+        if (!this.isMenuOpen) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.toggleMobileMenu();
+            this.mobileMenuBtn?.focus();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = [this.mobileMenuClose, ...this.getMenuLinks()].filter(Boolean);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first?.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last?.focus();
+        } else if (!this.mobileMenu?.contains(document.activeElement)) {
+            // El foco quedó fuera (p. ej. en el body tras un clic): devolverlo al menú
+            e.preventDefault();
+            (e.shiftKey ? last : first)?.focus();
+        }
+    }
+
+    /**
+     * Maneja el click en links de navegación
+     * @param {Event} e - Evento de click
+     */
+    handleNavLinkClick(e) {
+        e.preventDefault();
+        const section = this.getSectionFromHash(e.currentTarget.getAttribute('href'));
+
+        if (section) {
+            if (section !== this.getSectionFromHash(location.hash)) {
+                history.pushState(null, '', this.getSectionUrl(section));
+            }
+            this.scrollToSection(section);
+            this.closeMobileMenu();
+        }
+    }
+
+    /**
+     * Busca la sección a la que apunta un hash
+     * @param {string} hash - Hash de la URL (#servicios o #servicios/terapia)
+     * @returns {Element|null}
+     */
+    getSectionFromHash(hash) {
+        if (!hash || hash.length < 2) return null;
+
+        // Las subrutas (#servicios/terapia) pertenecen a su sección
+        let id;
+        try {
+            id = decodeURIComponent(hash.slice(1).split('/')[0]);
+        } catch (error) {
+            return null;
+        }
+
+        const element = document.getElementById(id);
+        return element?.matches('section') ? element : null;
+    }
+
+    /**
+     * URL que representa una sección; la primera deja la URL sin hash
+     * @param {Element} section - Sección
+     * @returns {string}
+     */
+    getSectionUrl(section) {
+        const base = location.pathname + location.search;
+        return section === this.sections[0] ? base : `${base}#${section.id}`;
+    }
+
+    /**
+     * Altura que tapa la barra de navegación al llegar a una posición.
+     * Al bajar más allá de navbarHideOffset la barra se oculta (ver handleScroll), al subir reaparece.
+     * @param {number} top - Posición de destino
+     * @returns {number}
+     */
+    getHeaderOffset(top) {
+        const height = this.navbar?.offsetHeight || CONFIG.scrollOffset;
+        const navbarHidden = top > window.scrollY && top > CONFIG.navbarHideOffset;
+        return navbarHidden ? 0 : height;
+    }
+
+    /**
+     * Desplaza hasta una sección dejando visible su inicio bajo la barra de navegación
+     * @param {Element} section - Sección de destino
+     * @param {Object} [options] - Opciones
+     * @param {boolean} [options.instant] - Sin animación
+     */
+    scrollToSection(section, { instant = false } = {}) {
+        const sectionTop = section.getBoundingClientRect().top + window.scrollY;
+        const top = Math.max(0, sectionTop - this.getHeaderOffset(sectionTop));
+
+        this.pendingSection = section;
+        this.setActiveSection(section);
+        window.scrollTo({
+            top,
+            behavior: instant ? 'auto' : Utils.getScrollBehavior()
+        });
+    }
+
+    /**
+     * Maneja el click en botones de scroll
+     * @param {Event} e - Evento de click
+     */
+    handleScrollButtonClick(e) {
+        const scrollTarget = e.currentTarget.getAttribute('data-scroll');
+        const section = scrollTarget && document.getElementById(scrollTarget);
+        if (section) {
+            this.scrollToSection(section);
+            analytics.track('cta_click', { target: scrollTarget });
+        }
+    }
+
+    /**
+     * Maneja el scroll de la página
+     */
+    handleScroll() {
+        const currentScrollY = window.scrollY;
+
+        // Navbar scroll effects
+        if (this.navbar) {
+            if (currentScrollY > 50) {
+                this.navbar.classList.add('scrolled');
+            } else {
+                this.navbar.classList.remove('scrolled');
+            }
+
+            // Hide/show navbar on scroll
+            if (currentScrollY > this.lastScrollY && currentScrollY > CONFIG.navbarHideOffset) {
+                this.navbar.style.transform = 'translateY(-100%)';
+            } else {
+                this.navbar.style.transform = 'translateY(0)';
+            }
+        }
+
+        this.lastScrollY = currentScrollY;
+        this.updateActiveSection();
+    }
+
+    /**
+     * Detecta la sección visible (scroll-spy) y la refleja en el menú y en la URL
+     */
+    updateActiveSection() {
+        if (!this.sections.length) return;
+
+        const line = (this.navbar?.offsetHeight || CONFIG.scrollOffset) + window.innerHeight * 0.25;
+        const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+        const current = atBottom
+            ? this.sections[this.sections.length - 1]
+            : this.sections.filter(section => section.getBoundingClientRect().top <= line).pop() || this.sections[0];
+
+        // Mientras dura un desplazamiento pedido no se marcan las secciones intermedias
+        if (this.pendingSection) {
+            if (current !== this.pendingSection) return;
+            this.pendingSection = null;
+        }
+
+        if (current === this.activeSection) return;
+
+        this.setActiveSection(current);
+        // Una subruta de la misma sección (#servicios/terapia) se conserva
+        if (this.getSectionFromHash(location.hash) !== current) {
+            history.replaceState(history.state, '', this.getSectionUrl(current));
+        }
+    }
+
+    /**
+     * Marca en el menú la sección actual
+     * @param {Element} section - Sección activa
+     */
+    setActiveSection(section) {
+        const previous = this.activeSection;
+        if (previous === section) return;
+
+        this.activeSection = section;
+        this.navLinks.forEach(link => {
+            const isCurrent = link.getAttribute('href') === `#${section.id}`;
+            link.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        events.emit('nav:section-changed', { sectionId: section.id, previousSectionId: previous?.id ?? null });
+    }
+
+    /**
+     * Maneja el resize de ventana
+     */
+    handleResize() {
+        // Cerrar menú móvil en pantallas grandes
+        if (window.innerWidth > 768 && this.isMenuOpen) {
+            this.closeMobileMenu();
+        }
+    }
+
+    /**
+     * Maneja clicks fuera del menú móvil
+     * @param {Event} e - Evento de click
+     */
+    handleOutsideClick(e) {
+        if (this.isMenuOpen && 
+            !this.mobileMenu?.contains(e.target) && 
+            !this.mobileMenuBtn?.contains(e.target)) {
+            this.closeMobileMenu();
+        }
+    }
+}
+
+// ===================================
+// GESTOR DE ANIMACIONES
+// ===================================
+
+class AnimationManager {
+    constructor() {
+        this.observer = null;
+        this.animatedElements = new Set();
+        this.viewedSections = new Set();
+        // Funciones pendientes de la primera entrada en pantalla, por elemento
+        this.enterCallbacks = new Map();
+    }
+
+    /**
+     * Inicializa el animation manager
+     */
+    init() {
+        this.setupIntersectionObserver();
+        this.observeElements();
+    }
+
+    /**
+     * Configura el Intersection Observer
+     */
+    setupIntersectionObserver() {
+        const options = {
+            threshold: CONFIG.intersectionThreshold,
+            rootMargin: '0px 0px -50px 0px'
+        };
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && !this.animatedElements.has(entry.target)) {
+                    this.animateElement(entry.target);
+                    this.animatedElements.add(entry.target);
+                }
+                if (entry.isIntersecting) {
+                    this.trackSectionView(entry.target);
+                }
+            });
+        }, options);
+    }
+
+    /**
+     * Observa elementos para animación
+     */
+    observeElements() {
+        // Observar secciones principales
+        const sections = document.querySelectorAll('section');
+        sections.forEach(section => {
+            section.classList.add('animate-on-scroll');
+            this.observeElement(section);
+        });
+
+        // Observar elementos específicos
+        const scrollElements = document.querySelectorAll(SELECTORS.scrollElements);
+        scrollElements.forEach(element => {
+            this.observeElement(element);
+        });
+    }
+
+    /**
+     * Observa un elemento; si se pidió reducir el movimiento se muestra de inmediato
+     * @param {Element} element - Elemento a observar
+     */
+    observeElement(element) {
+        if (Utils.prefersReducedMotion()) {
+            this.animateElement(element);
+            this.animatedElements.add(element);
+        }
+        this.observer.observe(element);
+    }
+
+    /**
+     * Ejecuta una función la primera vez que el elemento entra en pantalla
+     * (de inmediato si se pidió reducir el movimiento o ya se animó)
+     * @param {Element} element - Elemento a observar
+     * @param {Function} callback - Recibe el elemento
+     */
+    whenVisible(element, callback) {
+        if (this.animatedElements.has(element)) {
+            callback(element);
+            return;
+        }
+
+        this.enterCallbacks.set(element, callback);
+        this.observeElement(element);
+    }
+
+    /**
+     * Registra la primera vez que una sección entra en pantalla
+     * @param {Element} element - Elemento observado
+     */
+    trackSectionView(element) {
+        if (!element.matches('section[id]') || this.viewedSections.has(element)) return;
+
+        this.viewedSections.add(element);
+        analytics.track('section_view', { section: element.id });
+    }
+
+    /**
+     * Anima un elemento
+     * @param {Element} element - Elemento a animar
+     */
+    animateElement(element) {
+        element.classList.add('animated');
+
+        const callback = this.enterCallbacks.get(element);
+        if (callback) {
+            this.enterCallbacks.delete(element);
+            callback(element);
+        }
+    }
+
+    /**
+     * Destruye el observer y olvida lo observado, para volver a empezar en init()
+     */
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.animatedElements.clear();
+        this.viewedSections.clear();
+        this.enterCallbacks.clear();
+    }
+}
+
+// ===================================
+// CIFRAS (ESTADÍSTICAS)
+// ===================================
+
+/**
+ * Dibuja las cifras de data/stats.json en cada [data-stat] (hero y
+ * "Nosotros") y las cuenta desde cero al entrar en pantalla. El número que
+ * cambia está oculto a los lectores de pantalla, que solo leen el valor final.
+ */
+class StatsManager {
+    /**
+     * @param {AnimationManager} animationManager - Avisa cuándo cada cifra entra en pantalla
+     * @param {LoadingManager} [loadingManager] - El conteo espera a que se oculte la pantalla de carga
+     * @param {string} [dataUrl] - URL de las cifras
+     */
+    constructor(animationManager, loadingManager = null, dataUrl = CONFIG.data.stats) {
+        this.animationManager = animationManager;
+        this.loadingManager = loadingManager;
+        this.dataUrl = dataUrl;
+        this.elements = document.querySelectorAll(SELECTORS.statNumbers);
+        this.stats = new Map();
+        // Valor mostrado en cada elemento mientras cuenta
+        this.current = new Map();
+        // requestAnimationFrame pendiente de cada conteo
+        this.frames = new Map();
+    }
+
+    /**
+     * Inicializa el stats manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    async init({ signal } = {}) {
+        if (!this.elements.length) return;
+
+        try {
+            const stats = await Utils.fetchJSON(this.dataUrl);
+            stats.forEach(stat => this.stats.set(stat.id, stat));
+        } catch (error) {
+            // Se quedan los valores escritos en el HTML
+            console.error('Error al cargar las cifras:', error);
+            return;
+        }
+
+        this.elements.forEach(element => {
+            const stat = this.stats.get(element.dataset.stat);
+            if (!stat) return;
+
+            this.render(element, stat, 0);
+            this.animationManager.whenVisible(element, () => this.countUp(element, stat));
+        });
+
+        // El formato de los números depende del idioma
+        i18n.onChange(() => {
+            this.elements.forEach(element => {
+                const stat = this.stats.get(element.dataset.stat);
+                if (stat) this.render(element, stat, this.current.get(element));
+            });
+        }, { signal });
+    }
+
+    /**
+     * Formatea una cifra (500 → "500+")
+     * @param {Object} stat - Cifra ({ id, value, suffix })
+     * @param {number} value - Valor a mostrar
+     * @returns {string}
+     */
+    format(stat, value) {
+        return `${i18n.formatNumber(value)}${stat.suffix || ''}`;
+    }
+
+    /**
+     * Dibuja el valor visible y, para lectores de pantalla, el valor final
+     * @param {Element} element - Elemento [data-stat]
+     * @param {Object} stat - Cifra
+     * @param {number} value - Valor visible
+     */
+    render(element, stat, value) {
+        let visible = element.querySelector('[data-stat-count]');
+        let final = element.querySelector('.sr-only');
+
+        if (!visible || !final) {
+            element.innerHTML = '<span aria-hidden="true" data-stat-count></span><span class="sr-only"></span>';
+            visible = element.querySelector('[data-stat-count]');
+            final = element.querySelector('.sr-only');
+        }
+
+        this.current.set(element, value);
+        visible.textContent = this.format(stat, value);
+        final.textContent = this.format(stat, stat.value);
+    }
+
+    /**
+     * Cuenta desde cero hasta el valor final
+     * @param {Element} element - Elemento [data-stat]
+     * @param {Object} stat - Cifra
+     */
+    async countUp(element, stat) {
+        if (this.loadingManager) {
+            await this.loadingManager.whenHidden();
+        }
+
+        // destroy() mientras se esperaba
+        if (!this.stats.has(stat.id)) return;
+
+        if (Utils.prefersReducedMotion() || typeof requestAnimationFrame !== 'function') {
+            this.render(element, stat, stat.value);
+            return;
+        }
+
+        const duration = CONFIG.stats.countDuration;
+        const start = performance.now();
+
+        const step = (now) => {
+            const progress = Math.min((now - start) / duration, 1);
+            // Ease-out: rápido al principio y lento al llegar
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            this.render(element, stat, Math.round(stat.value * eased));
+
+            if (progress < 1) {
+                this.frames.set(element, requestAnimationFrame(step));
+            } else {
+                this.frames.delete(element);
+            }
+        };
+
+        this.frames.set(element, requestAnimationFrame(step));
+    }
+
+    /**
+     * Detiene los conteos y olvida las cifras, para volver a empezar en init()
+     */
+    destroy() {
+        this.frames.forEach(frame => cancelAnimationFrame(frame));
+        this.frames.clear();
+        this.stats.clear();
+        this.current.clear();
+    }
+}
+
+// ===================================
+// GESTOR DE SERVICIOS (TARJETAS)
+// ===================================
+
+class ServicesManager {
+    /**
+     * @param {string} [dataUrl] - URL del catálogo de servicios
+     */
+    constructor(dataUrl = CONFIG.data.services) {
+        this.dataUrl = dataUrl;
+        this.services = [];
+        this.grid = document.querySelector(SELECTORS.servicesGrid);
+        this.serviceSelect = document.querySelector(SELECTORS.serviceSelect);
+        // Otros selects que listan el catálogo (p. ej. el formulario de ingreso)
+        this.optionTargets = document.querySelectorAll(SELECTORS.serviceOptionTargets);
+        this.footerList = document.querySelector(SELECTORS.footerServices);
+        this.serviceCards = [];
+        this.renderListeners = new Set();
+    }
+
+    /**
+     * Inicializa el services manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    async init({ signal } = {}) {
+        await this.load(signal);
+        i18n.onChange(() => this.load(signal), { signal });
+    }
+
+    /**
+     * Carga el catálogo en el idioma activo y lo dibuja
+     * @param {AbortSignal} [signal] - Señal de init; las tarjetas nuevas se vinculan con ella
+     */
+    async load(signal) {
+        try {
+            this.services = await i18n.fetchLocalizedJSON(this.dataUrl);
+        } catch (error) {
+            console.error('Error al cargar servicios:', error);
+            this.renderError();
+            return;
+        }
+
+        this.render();
+        this.bindEvents(signal);
+    }
+
+    /**
+     * Busca un servicio por su ID
+     * @param {string} serviceId - ID del servicio
+     * @returns {Object|undefined}
+     */
+    getService(serviceId) {
+        return this.services.find(service => service.id === serviceId);
+    }
+
+    /**
+     * Dibuja el catálogo en las tarjetas, el select del formulario y el footer
+     */
+    render() {
+        this.renderCards();
+        this.renderSelectOptions();
+        this.renderFooterLinks();
+        this.serviceCards = document.querySelectorAll(SELECTORS.serviceCards);
+        this.renderListeners.forEach(listener => listener(this.services));
+    }
+
+    /**
+     * Registra una función que se llama cada vez que se dibuja el catálogo (p. ej. al cambiar de idioma)
+     * @param {Function} listener - Recibe la lista de servicios
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    onRender(listener, { signal } = {}) {
+        return Utils.subscribe(this.renderListeners, listener, signal);
+    }
+
+    /**
+     * Dibuja las tarjetas de servicio
+     */
+    renderCards() {
+        if (!this.grid) return;
+        this.grid.innerHTML = this.services.map(service => this.renderCard(service)).join('');
+    }
+
+    /**
+     * Genera el HTML de una tarjeta de servicio
+     * @param {Object} service - Servicio
+     * @returns {string} - HTML de la tarjeta
+     */
+    renderCard(service) {
+        const escape = Utils.escapeHTML;
+        const features = service.features.map(feature => `<li>${escape(feature)}</li>`).join('');
+
+        return `
+            <div class="service-card" data-service="${escape(service.id)}" data-audience="${escape((service.audience || []).join(' '))}">
+                <div class="card-inner">
+                    <div class="card-front" data-read-skip>
+                        <div class="service-icon ${escape(service.color)}">
+                            ${this.renderIcon(service)}
+                        </div>
+                        <h3 class="service-title">${escape(service.title)}</h3>
+                        <p class="service-preview">${escape(service.preview)}</p>
+                        <span class="flip-indicator">${escape(i18n.t('services.flip'))}</span>
+                    </div>
+                    <div class="card-back">
+                        <h3 class="service-title">${escape(service.title)}</h3>
+                        <p class="service-full-description">${escape(service.description)}</p>
+                        <ul class="service-features">${features}</ul>
+                        <a href="#servicios/${escape(service.id)}" class="service-detail-link" data-service-detail="${escape(service.id)}">${escape(i18n.t('serviceDetail.viewDetails'))}</a>
+                        ${ReadAloudManager.isSupported() ? ReadAloudManager.renderButton() : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Genera el SVG del icono de un servicio
+     * @param {Object} service - Servicio
+     * @returns {string} - HTML del icono
+     */
+    renderIcon(service) {
+        return `
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${Utils.escapeHTML(service.icon)}"/>
+            </svg>
+        `;
+    }
+
+    /**
+     * Agrega los servicios al select del formulario de contacto
+     */
+    renderSelectOptions() {
+        [this.serviceSelect, ...this.optionTargets].filter(Boolean).forEach(select => {
+            const selected = select.value;
+            select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+            this.services.forEach(service => {
+                select.add(new Option(service.title, service.id));
+            });
+            select.value = selected;
+        });
+    }
+
+    /**
+     * Dibuja los enlaces de servicios del footer
+     */
+    renderFooterLinks() {
+        if (!this.footerList) return;
+
+        this.footerList.innerHTML = this.services
+            .map(service => `<li><a href="#servicios/${Utils.escapeHTML(service.id)}" data-service-detail="${Utils.escapeHTML(service.id)}">${Utils.escapeHTML(service.title)}</a></li>`)
+            .join('');
+    }
+
+    /**
+     * Muestra un aviso cuando el catálogo no se pudo cargar
+     */
+    renderError() {
+        if (this.grid) {
+            this.grid.innerHTML = `<p class="services-error">${Utils.escapeHTML(i18n.t('services.loadError'))}</p>`;
+        }
+    }
+
+    /**
+     * Vincula eventos de las tarjetas de servicio
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.serviceCards.forEach(card => {
+            // Eventos de mouse
+            card.addEventListener('mouseenter', () => this.handleCardHover(card), { signal });
+            card.addEventListener('mouseleave', () => this.handleCardLeave(card), { signal });
+            card.addEventListener('click', (e) => {
+                if (!this.isCardControl(e.target)) this.handleCardClick(card);
+            }, { signal });
 
             // Eventos de touch para móviles
-            card.addEventListener('touchstart', (e) => this.handleTouchStart(e, card));
-            card.addEventListener('touchend', (e) => this.handleTouchEnd(e, card));
+            Utils.trackTouch(card, (delta, e) => {
+                if (!this.isCardControl(e.target)) this.handleTouchEnd(delta, card, e);
+            }, { signal });
+
+            // Eventos de teclado para accesibilidad
+            card.addEventListener('keydown', (e) => {
+                if (!this.isCardControl(e.target)) this.handleKeyDown(e, card);
+            }, { signal });
+            
+            // Hacer las tarjetas focusables
+            card.setAttribute('tabindex', '0');
+        });
+    }
+
+    /**
+     * Maneja el hover en tarjetas
+     * @param {Element} card - Tarjeta de servicio
+     */
+    handleCardHover(card) {
+        card.classList.add('hovered');
+    }
+
+    /**
+     * Maneja cuando se deja de hacer hover
+     * @param {Element} card - Tarjeta de servicio
+     */
+    handleCardLeave(card) {
+        card.classList.remove('hovered');
+    }
+
+    /**
+     * Indica si el evento viene de un control dentro de la tarjeta
+     * (por ejemplo el botón "Escuchar"), que no debe voltearla
+     * @param {Element} target - Elemento origen del evento
+     * @returns {boolean}
+     */
+    isCardControl(target) {
+        return Boolean(target.closest('button, a'));
+    }
+
+    /**
+     * Maneja el click en tarjetas
+     * @param {Element} card - Tarjeta de servicio
+     */
+    handleCardClick(card) {
+        const flipped = !card.classList.contains('flipped');
+        this.flipCard(card, flipped);
+        analytics.track('service_flip', { service: card.dataset.service, flipped });
+    }
+
+    /**
+     * Voltea una tarjeta al frente o al reverso
+     * @param {Element} card - Tarjeta de servicio
+     * @param {boolean} [flipped] - true para mostrar el reverso
+     */
+    flipCard(card, flipped = true) {
+        const cardInner = card.querySelector('.card-inner');
+        if (!cardInner || card.classList.contains('flipped') === flipped) return;
+
+        card.classList.toggle('flipped', flipped);
+        events.emit('service:flipped', { serviceId: card.dataset.service, flipped });
+    }
+
+    /**
+     * Maneja el fin del touch
+     * @param {Object} delta - Desplazamiento { dx, dy } del gesto
+     * @param {Element} card - Tarjeta de servicio
+     * @param {TouchEvent} e - Evento touchend
+     */
+    handleTouchEnd(delta, card, e) {
+        // Si no fue un scroll, flip la tarjeta
+        if (Utils.isTap(delta)) {
+            // Sin esto el navegador manda después un click sintético que la
+            // voltearía de regreso (y contaría el giro dos veces)
+            e.preventDefault();
+            this.handleCardClick(card);
+        }
+    }
+
+    /**
+     * Maneja eventos de teclado para accesibilidad
+     * @param {Event} e - Evento de teclado
+     * @param {Element} card - Tarjeta de servicio
+     */
+    handleKeyDown(e, card) {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.handleCardClick(card);
+        }
+    }
+}
+
+// ===================================
+// DETALLE DE SERVICIOS
+// ===================================
+
+/**
+ * Vista de detalle de cada servicio con ruta propia (#servicios/<id>), para poder
+ * compartir el enlace. La URL es la fuente de verdad: atrás/adelante abren y cierran la vista.
+ */
+class ServiceDetailManager {
+    /**
+     * @param {ServicesManager} servicesManager - Catálogo de servicios
+     * @param {FormManager} formManager - Se rellena el servicio al solicitarlo
+     * @param {NavigationManager} navigationManager - Desplaza al formulario de contacto
+     * @param {LoadingManager} [loadingManager] - El enlace inicial se abre al ocultar la pantalla de carga
+     */
+    constructor(servicesManager, formManager, navigationManager, loadingManager = null) {
+        this.servicesManager = servicesManager;
+        this.formManager = formManager;
+        this.navigationManager = navigationManager;
+        this.loadingManager = loadingManager;
+        this.dialog = document.querySelector(SELECTORS.serviceDetail);
+        this.serviceId = null;
+        // El cierre lo pidió la URL (atrás/adelante): no hay que volver a tocar el historial
+        this.closingFromUrl = false;
+    }
+
+    /**
+     * Obtiene el ID de servicio de un hash #servicios/<id>
+     * @param {string} hash - Hash de la URL
+     * @returns {string|null}
+     */
+    static getRouteId(hash) {
+        const match = /^#servicios\/([\w-]+)$/.exec(hash || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Genera la URL de la vista de un servicio
+     * @param {string} [serviceId] - ID del servicio; sin él, la sección de servicios
+     * @returns {string}
+     */
+    static getUrl(serviceId) {
+        const base = location.pathname + location.search;
+        return serviceId ? `${base}#servicios/${serviceId}` : `${base}#servicios`;
+    }
+
+    /**
+     * Inicializa el service detail manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        if (!this.dialog) return;
+
+        this.title = this.dialog.querySelector('#service-detail-title');
+        this.icon = this.dialog.querySelector('[data-detail-icon]');
+        this.description = this.dialog.querySelector('[data-detail-description]');
+        this.format = this.dialog.querySelector('[data-detail-format]');
+        this.duration = this.dialog.querySelector('[data-detail-duration]');
+        this.price = this.dialog.querySelector('[data-detail-price]');
+        this.faq = this.dialog.querySelector('[data-detail-faq]');
+        this.related = this.dialog.querySelector('[data-detail-related]');
+        this.status = this.dialog.querySelector('[data-detail-status]');
+        this.requestBtn = this.dialog.querySelector('[data-detail-request]');
+        this.shareBtn = this.dialog.querySelector('[data-detail-share]');
+
+        this.setupShareButton();
+        this.bindEvents(signal);
+        this.servicesManager.onRender(() => {
+            if (this.serviceId) this.render();
+        }, { signal });
+
+        if (ServiceDetailManager.getRouteId(location.hash)) {
+            (this.loadingManager?.whenHidden() ?? Promise.resolve()).then(() => this.syncWithUrl());
+        }
+    }
+
+    /**
+     * Sin Web Share API el botón copia el enlace; sin portapapeles se oculta
+     */
+    setupShareButton() {
+        if (typeof navigator.share === 'function') return;
+
+        if (navigator.clipboard?.writeText) {
+            this.shareBtn.dataset.i18n = 'serviceDetail.copyLink';
+            this.shareBtn.textContent = i18n.t('serviceDetail.copyLink');
+        } else {
+            this.shareBtn.hidden = true;
+        }
+    }
+
+    /**
+     * Vincula eventos
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        // Enlaces en tarjetas, footer y servicios relacionados
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-service-detail]');
+            if (link) {
+                e.preventDefault();
+                this.open(link.dataset.serviceDetail);
+            }
+        }, { signal });
+
+        window.addEventListener('popstate', () => this.syncWithUrl(), { signal });
+        this.dialog.addEventListener('close', () => this.handleClose(), { signal });
+        this.dialog.addEventListener('keydown', (e) => this.handleKeyDown(e), { signal });
+        this.requestBtn.addEventListener('click', () => this.requestService(), { signal });
+        this.shareBtn.addEventListener('click', () => this.share(), { signal });
+    }
+
+    /**
+     * Abre la vista de un servicio
+     * @param {string} serviceId - ID del servicio
+     * @param {Object} [options] - Opciones
+     * @param {boolean} [options.updateUrl] - false si la URL ya apunta al servicio
+     * @returns {boolean} - Si el servicio existe
+     */
+    open(serviceId, { updateUrl = true } = {}) {
+        if (!this.servicesManager.getService(serviceId)) return false;
+
+        if (updateUrl) {
+            // Entre servicios relacionados se reemplaza la entrada para que "atrás" cierre la vista
+            if (this.dialog.open) {
+                history.replaceState(history.state, '', ServiceDetailManager.getUrl(serviceId));
+            } else {
+                history.pushState({ serviceDetail: true }, '', ServiceDetailManager.getUrl(serviceId));
+            }
+        }
+
+        this.serviceId = serviceId;
+        this.render();
+        this.dialog.scrollTop = 0;
+
+        if (!this.dialog.open) {
+            if (typeof this.dialog.showModal === 'function') {
+                this.dialog.showModal();
+            } else {
+                this.dialog.setAttribute('open', '');
+            }
+        }
+        this.getFocusableElements()[0]?.focus();
+
+        analytics.track('service_detail', { service: serviceId });
+        return true;
+    }
+
+    /**
+     * Cierra la vista
+     */
+    close() {
+        if (!this.dialog.open) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+            this.handleClose();
+        }
+    }
+
+    /**
+     * Deja la URL de la sección de servicios al cerrar la vista
+     */
+    handleClose() {
+        this.serviceId = null;
+
+        if (this.closingFromUrl) {
+            this.closingFromUrl = false;
+            return;
+        }
+
+        if (!ServiceDetailManager.getRouteId(location.hash)) return;
+
+        if (history.state?.serviceDetail) {
+            history.back();
+        } else {
+            // Se llegó por un enlace compartido: no hay entrada anterior a la que volver
+            history.replaceState(null, '', ServiceDetailManager.getUrl());
+        }
+    }
+
+    /**
+     * Abre o cierra la vista según la URL actual
+     */
+    syncWithUrl() {
+        const serviceId = ServiceDetailManager.getRouteId(location.hash);
+
+        if (serviceId === this.serviceId) return;
+
+        if (serviceId && this.open(serviceId, { updateUrl: false })) return;
+
+        if (serviceId) {
+            // Servicio inexistente: se queda en la sección
+            history.replaceState(null, '', ServiceDetailManager.getUrl());
+        }
+        if (this.dialog.open) {
+            this.closingFromUrl = true;
+            this.close();
+        }
+    }
+
+    /**
+     * Mantiene el foco dentro de la vista y la cierra con Escape
+     * @param {KeyboardEvent} e - Evento de teclado
+     */
+    handleKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Elementos de la vista que pueden recibir el foco
+     * @returns {Array<Element>}
+     */
+    getFocusableElements() {
+        return Array.from(this.dialog.querySelectorAll('a[href], button:not([disabled]), summary, [tabindex]:not([tabindex="-1"])'))
+            .filter(element => !element.closest('[hidden]'));
+    }
+
+    /**
+     * Dibuja el servicio actual
+     */
+    render() {
+        const service = this.servicesManager.getService(this.serviceId);
+        if (!service) return;
+
+        const escape = Utils.escapeHTML;
+        const details = service.details || {};
+
+        this.title.textContent = service.title;
+        this.icon.className = `service-icon ${service.color}`;
+        this.icon.innerHTML = this.servicesManager.renderIcon(service);
+        this.description.textContent = details.longDescription || service.description;
+        this.format.textContent = details.format || '';
+        this.duration.textContent = details.duration || '';
+        this.price.textContent = this.formatPrice(details.price);
+        this.status.textContent = '';
+
+        this.faq.innerHTML = (details.faq || []).map(({ question, answer }) => `
+            <details>
+                <summary>${escape(question)}</summary>
+                <p>${escape(answer)}</p>
+            </details>
+        `).join('');
+
+        this.related.innerHTML = (details.related || [])
+            .map(id => this.servicesManager.getService(id))
+            .filter(Boolean)
+            .map(related => `<li><a href="#servicios/${escape(related.id)}" data-service-detail="${escape(related.id)}">${escape(related.title)}</a></li>`)
+            .join('');
+    }
+
+    /**
+     * Da formato al rango de precios en la moneda y el idioma activos
+     * @param {{min: number, max: number, currency: string, note?: string}} [price] - Rango de precios
+     * @returns {string}
+     */
+    formatPrice(price) {
+        if (!price) return '';
+
+        const formatter = new Intl.NumberFormat(i18n.locale, {
+            style: 'currency',
+            currency: price.currency,
+            maximumFractionDigits: 0
+        });
+
+        return i18n.t('serviceDetail.priceRange', {
+            min: formatter.format(price.min),
+            max: formatter.format(price.max),
+            note: price.note || ''
+        }).trim();
+    }
+
+    /**
+     * Preselecciona el servicio en el formulario de contacto y lleva a él
+     */
+    requestService() {
+        const serviceId = this.serviceId;
+        const contactSection = document.getElementById('contacto');
+
+        this.formManager.fillForm({ servicio: serviceId });
+        analytics.track('service_request', { service: serviceId });
+
+        // La entrada de la vista pasa a ser la del formulario, sin volver atrás
+        history.replaceState(null, '', `${location.pathname}${location.search}#contacto`);
+        this.closingFromUrl = true;
+        this.close();
+
+        if (contactSection) {
+            this.navigationManager.scrollToSection(contactSection);
+        }
+        this.formManager.contactForm?.elements.namedItem('servicio')?.focus({ preventScroll: true });
+    }
+
+    /**
+     * Comparte el enlace del servicio o lo copia al portapapeles
+     */
+    async share() {
+        const service = this.servicesManager.getService(this.serviceId);
+        if (!service) return;
+
+        const url = new URL(ServiceDetailManager.getUrl(service.id), location.href).href;
+
+        if (typeof navigator.share === 'function') {
+            try {
+                await navigator.share({ title: service.title, text: service.preview, url });
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error al compartir:', error);
+                }
+            }
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.status.textContent = i18n.t('serviceDetail.copied');
+        } catch (error) {
+            console.error('Error al copiar el enlace:', error);
+            this.status.textContent = i18n.t('serviceDetail.copyError');
+        }
+    }
+
+    /**
+     * Cierra la vista. El evento close llega cuando ya no hay listener, por eso se limpia aquí.
+     */
+    destroy() {
+        if (!this.dialog) return;
+
+        this.closingFromUrl = true;
+        this.close();
+        this.serviceId = null;
+        this.closingFromUrl = false;
+    }
+}
+
+// ===================================
+// DATOS ESTRUCTURADOS (SCHEMA.ORG)
+// ===================================
+
+/**
+ * Genera el JSON-LD del sitio: la organización (data/organization.json) y un
+ * Service con su Offer por cada servicio del catálogo. Se regenera cada vez
+ * que se dibuja el catálogo y avisa en la consola si falta algo obligatorio.
+ */
+class StructuredDataManager {
+    /**
+     * @param {ServicesManager} servicesManager - Catálogo de servicios
+     * @param {string} [dataUrl] - URL de los datos de la organización
+     */
+    constructor(servicesManager, dataUrl = CONFIG.data.organization) {
+        this.servicesManager = servicesManager;
+        this.dataUrl = dataUrl;
+        this.organization = null;
+        this.script = null;
+    }
+
+    /**
+     * Propiedades obligatorias por tipo de Schema.org
+     */
+    static get REQUIRED() {
+        return {
+            EducationalOrganization: ['@id', 'name', 'url', 'address', 'telephone'],
+            PostalAddress: ['addressLocality', 'addressRegion', 'addressCountry'],
+            GeoCoordinates: ['latitude', 'longitude'],
+            OpeningHoursSpecification: ['dayOfWeek', 'opens', 'closes'],
+            ContactPoint: ['contactType', 'telephone'],
+            Service: ['@id', 'name', 'description', 'provider', 'offers'],
+            Offer: ['priceCurrency', 'priceSpecification'],
+            PriceSpecification: ['priceCurrency', 'minPrice']
+        };
+    }
+
+    /**
+     * Inicializa el structured data manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    async init({ signal } = {}) {
+        try {
+            this.organization = await Utils.fetchJSON(this.dataUrl);
+        } catch (error) {
+            // Se queda el JSON-LD escrito en el HTML
+            console.error('Error al cargar los datos de la organización:', error);
+            return;
+        }
+
+        this.update(this.servicesManager.services);
+        this.servicesManager.onRender(services => this.update(services), { signal });
+    }
+
+    /**
+     * Regenera el JSON-LD con el catálogo actual
+     * @param {Array<Object>} services - Servicios
+     */
+    update(services) {
+        const data = this.build(services);
+
+        StructuredDataManager.validate(data).forEach(problem => {
+            console.warn(`Datos estructurados: ${problem}`);
+        });
+
+        if (!this.script) {
+            this.script = document.querySelector(SELECTORS.organizationSchema);
+        }
+        if (!this.script) {
+            this.script = document.createElement('script');
+            this.script.type = 'application/ld+json';
+            this.script.id = 'organization-schema';
+            document.head.appendChild(this.script);
+        }
+
+        this.script.textContent = JSON.stringify(data);
+    }
+
+    /**
+     * Arma el grafo de la organización y sus servicios
+     * @param {Array<Object>} services - Servicios
+     * @returns {Object} - JSON-LD
+     */
+    build(services) {
+        const org = this.organization;
+        const organizationId = `${org.url}/#organization`;
+        // Misma URL que comparte la vista de detalle (#servicios/<id>)
+        const serviceId = service => `${org.url}/#servicios/${service.id}`;
+
+        const organization = {
+            '@type': 'EducationalOrganization',
+            '@id': organizationId,
+            name: org.name,
+            alternateName: org.alternateName,
+            description: org.description,
+            url: org.url,
+            logo: org.logo,
+            telephone: org.telephone,
+            email: org.email,
+            address: {
+                '@type': 'PostalAddress',
+                addressLocality: org.address?.locality,
+                addressRegion: org.address?.region,
+                addressCountry: org.address?.country
+            },
+            geo: org.geo && {
+                '@type': 'GeoCoordinates',
+                latitude: org.geo.latitude,
+                longitude: org.geo.longitude
+            },
+            openingHoursSpecification: (org.hours || []).map(({ days, opens, closes }) => ({
+                '@type': 'OpeningHoursSpecification',
+                dayOfWeek: days,
+                opens,
+                closes
+            })),
+            contactPoint: [{
+                '@type': 'ContactPoint',
+                contactType: 'customer service',
+                telephone: org.telephone,
+                email: org.email,
+                availableLanguage: org.languages
+            }],
+            sameAs: org.sameAs,
+            hasOfferCatalog: {
+                '@type': 'OfferCatalog',
+                name: i18n.t('services.title'),
+                itemListElement: services.map(service => ({ '@id': serviceId(service) }))
+            }
+        };
+
+        const serviceNodes = services.map(service => {
+            const price = service.details?.price;
+
+            return {
+                '@type': 'Service',
+                '@id': serviceId(service),
+                name: service.title,
+                description: service.description,
+                url: serviceId(service),
+                provider: { '@id': organizationId },
+                areaServed: {
+                    '@type': 'City',
+                    name: org.address?.locality
+                },
+                offers: price && {
+                    '@type': 'Offer',
+                    priceCurrency: price.currency,
+                    description: price.note,
+                    priceSpecification: {
+                        '@type': 'PriceSpecification',
+                        priceCurrency: price.currency,
+                        minPrice: price.min,
+                        maxPrice: price.max
+                    }
+                }
+            };
+        });
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [organization, ...serviceNodes]
+        };
+    }
+
+    /**
+     * Revisa un nodo JSON-LD y sus hijos: propiedades obligatorias,
+     * claves "@" desconocidas y valores fuera de rango
+     * @param {*} node - Nodo a revisar
+     * @param {string} [path] - Ruta del nodo, para los mensajes
+     * @returns {Array<string>} - Problemas encontrados
+     */
+    static validate(node, path = 'JSON-LD') {
+        if (Array.isArray(node)) {
+            return node.flatMap((item, index) => StructuredDataManager.validate(item, `${path}[${index}]`));
+        }
+        if (!node || typeof node !== 'object') {
+            return [];
+        }
+
+        const problems = [];
+        const type = node['@type'];
+        const label = node['@id'] ? `${path} (${node['@id']})` : path;
+        const isEmpty = value => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+        Object.keys(node)
+            .filter(key => key.startsWith('@') && !['@context', '@type', '@id', '@graph'].includes(key))
+            .forEach(key => problems.push(`${label}: clave desconocida "${key}"`));
+
+        (StructuredDataManager.REQUIRED[type] || [])
+            .filter(property => isEmpty(node[property]))
+            .forEach(property => problems.push(`${label}: ${type} sin "${property}"`));
+
+        if (type === 'PriceSpecification' && node.maxPrice !== undefined && node.maxPrice < node.minPrice) {
+            problems.push(`${label}: maxPrice es menor que minPrice`);
+        }
+
+        if (type === 'OpeningHoursSpecification') {
+            ['opens', 'closes']
+                .filter(property => node[property] && !/^\d{2}:\d{2}$/.test(node[property]))
+                .forEach(property => problems.push(`${label}: "${property}" debe tener formato HH:MM`));
+        }
+
+        if (type === 'GeoCoordinates' && (Math.abs(node.latitude) > 90 || Math.abs(node.longitude) > 180)) {
+            problems.push(`${label}: coordenadas fuera de rango`);
+        }
+
+        Object.entries(node).forEach(([key, value]) => {
+            if (value && typeof value === 'object') {
+                problems.push(...StructuredDataManager.validate(value, `${path}.${key}`));
+            }
+        });
+
+        return problems;
+    }
+}
+
+// ===================================
+// TESTIMONIOS
+// ===================================
+
+/**
+ * Carrusel de testimonios (data/testimonials.json) con el patrón de
+ * carrusel de WAI-ARIA: botón para pausar la rotación, anterior/siguiente,
+ * flechas del teclado y deslizamiento táctil. La rotación automática se
+ * detiene con el puntero o el foco dentro y no arranca con movimiento reducido.
+ */
+class TestimonialsManager {
+    /**
+     * @param {ServicesManager} servicesManager - Da el nombre de cada servicio
+     * @param {string} [dataUrl] - URL de los testimonios
+     */
+    constructor(servicesManager, dataUrl = CONFIG.data.testimonials) {
+        this.servicesManager = servicesManager;
+        this.dataUrl = dataUrl;
+        this.carousel = document.querySelector(SELECTORS.testimonials);
+        this.section = this.carousel?.closest('section');
+        this.slides = this.carousel?.querySelector('.carousel-slides');
+        this.dots = this.carousel?.querySelector('[data-carousel-dots]');
+        this.toggleBtn = this.carousel?.querySelector('[data-carousel-action="toggle"]');
+        this.testimonials = [];
+        this.index = 0;
+        this.timer = null;
+        // Pausa elegida con el botón; solo el botón la quita
+        this.isPaused = false;
+        // El usuario pidió la rotación aunque prefiera movimiento reducido
+        this.playRequested = false;
+        this.isHovered = false;
+        this.hasFocus = false;
+    }
+
+    /**
+     * Inicializa el testimonials manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    async init({ signal } = {}) {
+        if (!this.carousel || !this.slides) return;
+
+        this.isPaused = Utils.prefersReducedMotion();
+        this.bindEvents(signal);
+        await this.load();
+
+        i18n.onChange(() => this.load(), { signal });
+        // El nombre del servicio sale del catálogo, que se vuelve a cargar con el idioma
+        this.servicesManager.onRender(() => this.render(), { signal });
+    }
+
+    /**
+     * Vincula eventos del carrusel
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.carousel.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-carousel-action]')?.dataset.carouselAction;
+            const dot = e.target.closest('[data-carousel-index]');
+
+            if (action === 'toggle') this.togglePlayback();
+            if (action === 'previous') this.goTo(this.index - 1);
+            if (action === 'next') this.goTo(this.index + 1);
+            if (dot) this.goTo(Number(dot.dataset.carouselIndex));
+        }, { signal });
+
+        this.carousel.addEventListener('keydown', (e) => this.handleKeyDown(e), { signal });
+
+        this.carousel.addEventListener('mouseenter', () => {
+            this.isHovered = true;
+            this.updateAutoplay();
+        }, { signal });
+        this.carousel.addEventListener('mouseleave', () => {
+            this.isHovered = false;
+            this.updateAutoplay();
+        }, { signal });
+        this.carousel.addEventListener('focusin', () => {
+            this.hasFocus = true;
+            this.updateAutoplay();
+        }, { signal });
+        this.carousel.addEventListener('focusout', (e) => {
+            if (this.carousel.contains(e.relatedTarget)) return;
+            this.hasFocus = false;
+            this.updateAutoplay();
+        }, { signal });
+
+        // Mismo seguimiento táctil que las tarjetas de servicio
+        Utils.trackTouch(this.slides, (delta) => {
+            const direction = Utils.getSwipeDirection(delta);
+            if (direction === 'left') this.goTo(this.index + 1);
+            if (direction === 'right') this.goTo(this.index - 1);
+        }, { signal });
+    }
+
+    /**
+     * Carga los testimonios en el idioma activo y los dibuja
+     */
+    async load() {
+        try {
+            this.testimonials = await i18n.fetchLocalizedJSON(this.dataUrl);
+        } catch (error) {
+            console.error('Error al cargar testimonios:', error);
+            this.testimonials = [];
+        }
+
+        this.render();
+    }
+
+    /**
+     * Dibuja las diapositivas y los puntos; sin testimonios se oculta la sección
+     */
+    render() {
+        const total = this.testimonials.length;
+
+        if (this.section) {
+            this.section.hidden = total === 0;
+        }
+
+        if (total === 0) {
+            this.stop();
+            return;
+        }
+
+        const escape = Utils.escapeHTML;
+        this.index = Math.min(this.index, total - 1);
+        this.slides.innerHTML = this.testimonials.map((testimonial, index) => this.renderSlide(testimonial, index)).join('');
+
+        if (this.dots) {
+            this.dots.innerHTML = this.testimonials.map((testimonial, index) => `
+                <button type="button" class="carousel-dot" data-carousel-index="${index}" aria-label="${escape(i18n.t('testimonials.goTo', { number: index + 1 }))}"></button>
+            `).join('');
+        }
+
+        this.show(this.index);
+        this.updateAutoplay();
+    }
+
+    /**
+     * Genera el HTML de una diapositiva
+     * @param {Object} testimonial - Testimonio ({ quote, name, relationship, service, photo })
+     * @param {number} index - Posición
+     * @returns {string} - HTML de la diapositiva
+     */
+    renderSlide(testimonial, index) {
+        const escape = Utils.escapeHTML;
+        const service = this.servicesManager.getService(testimonial.service);
+        const relationship = i18n.has(`testimonials.relationships.${testimonial.relationship}`)
+            ? i18n.t(`testimonials.relationships.${testimonial.relationship}`)
+            : '';
+        const meta = [relationship, service?.title].filter(Boolean).map(escape).join(' · ');
+        const name = testimonial.name || '';
+
+        // La foto es decorativa: el nombre ya está en el texto
+        const photo = testimonial.photo
+            ? `<img class="testimonial-photo" src="${escape(testimonial.photo)}" alt="" width="56" height="56" loading="lazy">`
+            : `<span class="testimonial-photo" aria-hidden="true">${escape(name.charAt(0))}</span>`;
+
+        return `
+            <div class="carousel-slide" role="group" aria-roledescription="${escape(i18n.t('testimonials.slide'))}" aria-label="${escape(i18n.t('testimonials.position', { current: index + 1, total: this.testimonials.length }))}" hidden>
+                <figure class="testimonial">
+                    <blockquote class="testimonial-quote">
+                        <p>${escape(testimonial.quote)}</p>
+                    </blockquote>
+                    <figcaption class="testimonial-author">
+                        ${photo}
+                        <span>
+                            ${name ? `<strong class="testimonial-name">${escape(name)}</strong>` : ''}
+                            <span class="testimonial-meta">${meta}</span>
+                        </span>
+                    </figcaption>
+                </figure>
+            </div>
+        `;
+    }
+
+    /**
+     * Muestra una diapositiva (el índice da la vuelta en los extremos)
+     * @param {number} index - Posición
+     */
+    show(index) {
+        const total = this.testimonials.length;
+        if (total === 0) return;
+
+        this.index = (index + total) % total;
+
+        this.slides.querySelectorAll('.carousel-slide').forEach((slide, slideIndex) => {
+            slide.hidden = slideIndex !== this.index;
+        });
+
+        this.dots?.querySelectorAll('[data-carousel-index]').forEach((dot, dotIndex) => {
+            if (dotIndex === this.index) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Navegación del usuario: muestra la diapositiva y reinicia el temporizador
+     * @param {number} index - Posición
+     */
+    goTo(index) {
+        this.show(index);
+        this.updateAutoplay();
+    }
+
+    /**
+     * Flechas, Inicio y Fin cambian de testimonio
+     * @param {KeyboardEvent} e - Evento de teclado
+     */
+    handleKeyDown(e) {
+        const targets = {
+            ArrowLeft: this.index - 1,
+            ArrowRight: this.index + 1,
+            Home: 0,
+            End: this.testimonials.length - 1
+        };
+
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        this.goTo(targets[e.key]);
+
+        // En los puntos el foco acompaña a la diapositiva activa
+        if (e.target.closest('[data-carousel-index]')) {
+            this.dots.querySelector('[aria-current]')?.focus();
+        }
+    }
+
+    /**
+     * Pausa o reanuda la rotación automática desde el botón
+     */
+    togglePlayback() {
+        this.isPaused = !this.isPaused;
+        this.playRequested = !this.isPaused;
+
+        // El botón está dentro del carrusel: reanudar no debe esperar a que salgan el puntero o el foco
+        if (this.playRequested) {
+            this.isHovered = false;
+            this.hasFocus = false;
+        }
+
+        this.updateAutoplay();
+    }
+
+    /**
+     * Indica si la rotación automática debe correr ahora
+     * @returns {boolean}
+     */
+    shouldRotate() {
+        return !this.isPaused && !this.isHovered && !this.hasFocus && this.testimonials.length > 1;
+    }
+
+    /**
+     * Arranca o detiene el temporizador según el estado actual
+     */
+    updateAutoplay() {
+        this.stop();
+
+        if (this.shouldRotate()) {
+            this.timer = setInterval(() => this.rotate(), CONFIG.testimonials.autoplayInterval);
+        }
+
+        // Los cambios automáticos no se anuncian; los del usuario sí
+        this.slides.setAttribute('aria-live', this.timer ? 'off' : 'polite');
+        this.updateToggle();
+    }
+
+    /**
+     * Avanza una diapositiva en la rotación automática
+     */
+    rotate() {
+        // Si se activó el movimiento reducido con el carrusel en marcha
+        if (Utils.prefersReducedMotion() && !this.playRequested) {
+            this.isPaused = true;
+            this.updateAutoplay();
+            return;
+        }
+
+        this.show(this.index + 1);
+    }
+
+    /**
+     * Actualiza la etiqueta y el icono del botón de pausa
+     */
+    updateToggle() {
+        if (!this.toggleBtn) return;
+
+        this.toggleBtn.setAttribute('aria-label', i18n.t(this.isPaused ? 'testimonials.play' : 'testimonials.pause'));
+        this.toggleBtn.querySelector('[data-carousel-icon="pause"]').hidden = this.isPaused;
+        this.toggleBtn.querySelector('[data-carousel-icon="play"]').hidden = !this.isPaused;
+    }
+
+    /**
+     * Detiene el temporizador
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Detiene la rotación automática y olvida el hover y el foco, que ya no se van a soltar
+     */
+    destroy() {
+        this.stop();
+        this.isHovered = false;
+        this.hasFocus = false;
+    }
+}
+
+// ===================================
+// PREGUNTAS FRECUENTES
+// ===================================
+
+/**
+ * Lista de preguntas frecuentes (data/faq.json) como acordeón, con búsqueda
+ * de texto sin acentos y filtro por categoría ("general" o el id de un
+ * servicio). También publica las preguntas como JSON-LD FAQPage.
+ */
+class FaqManager {
+    /**
+     * @param {ServicesManager} servicesManager - Da el nombre de las categorías de servicio
+     * @param {string} [dataUrl] - URL de las preguntas
+     */
+    constructor(servicesManager, dataUrl = CONFIG.data.faq) {
+        this.servicesManager = servicesManager;
+        this.dataUrl = dataUrl;
+        this.list = document.querySelector(SELECTORS.faqList);
+        this.section = this.list?.closest('section');
+        this.searchInput = document.querySelector(SELECTORS.faqSearch);
+        this.categorySelect = document.querySelector(SELECTORS.faqCategory);
+        this.status = document.querySelector(SELECTORS.faqStatus);
+        this.items = [];
+        // Preguntas abiertas; se conservan al filtrar
+        this.openIds = new Set();
+        this.schemaScript = null;
+        this.loadListeners = new Set();
+    }
+
+    /**
+     * Inicializa el FAQ manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    async init({ signal } = {}) {
+        if (!this.list) return;
+
+        this.bindEvents(signal);
+        await this.load();
+
+        i18n.onChange(() => this.load(), { signal });
+        this.servicesManager.onRender(() => this.renderCategories(), { signal });
+    }
+
+    /**
+     * Vincula eventos de los filtros y del acordeón
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.searchInput?.addEventListener('input', Utils.debounce(() => this.render()), { signal });
+        this.categorySelect?.addEventListener('change', () => this.render(), { signal });
+
+        // "toggle" no burbujea: se escucha en fase de captura
+        this.list.addEventListener('toggle', (e) => {
+            const id = e.target.dataset.faq;
+            if (!id) return;
+
+            // render() vuelve a crear abiertas las que ya lo estaban y eso también
+            // dispara "toggle": solo cuenta como apertura si antes estaba cerrada
+            if (e.target.open) {
+                if (this.openIds.has(id)) return;
+                this.openIds.add(id);
+                analytics.track('faq_open', { faq: id });
+            } else {
+                this.openIds.delete(id);
+            }
+        }, { capture: true, signal });
+    }
+
+    /**
+     * Carga las preguntas en el idioma activo y las dibuja
+     */
+    async load() {
+        try {
+            const items = await i18n.fetchLocalizedJSON(this.dataUrl);
+            this.items = items.map(item => ({
+                ...item,
+                searchText: Utils.normalizeText(`${item.question} ${item.answer}`)
+            }));
+        } catch (error) {
+            console.error('Error al cargar las preguntas frecuentes:', error);
+            this.items = [];
+        }
+
+        if (this.section) {
+            this.section.hidden = this.items.length === 0;
+        }
+
+        this.renderCategories();
+        this.render();
+        this.updateSchema();
+        this.loadListeners.forEach(listener => listener(this.items));
+    }
+
+    /**
+     * Registra una función que se llama cada vez que se cargan las preguntas (p. ej. al cambiar de idioma)
+     * @param {Function} listener - Recibe la lista de preguntas
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancela la suscripción al abortarse
+     * @returns {Function} - Función para cancelar la suscripción
+     */
+    onLoad(listener, { signal } = {}) {
+        return Utils.subscribe(this.loadListeners, listener, signal);
+    }
+
+    /**
+     * Abre una pregunta; si los filtros la ocultan, primero los limpia
+     * @param {string} id - ID de la pregunta
+     * @returns {Element|null} - Elemento <details> de la pregunta
+     */
+    reveal(id) {
+        const find = () => Array.from(this.list.querySelectorAll('[data-faq]')).find(item => item.dataset.faq === id);
+        let item = find();
+
+        if (!item) {
+            if (this.searchInput) this.searchInput.value = '';
+            if (this.categorySelect) this.categorySelect.value = '';
+            this.render();
+            item = find();
+        }
+
+        if (item) {
+            item.open = true;
+        }
+        return item || null;
+    }
+
+    /**
+     * Llena el select con las categorías que tienen preguntas
+     */
+    renderCategories() {
+        if (!this.categorySelect) return;
+
+        const selected = this.categorySelect.value;
+        const categories = [...new Set(this.items.map(item => item.category))];
+
+        this.categorySelect.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+        categories.forEach(category => {
+            this.categorySelect.add(new Option(this.getCategoryLabel(category), category));
+        });
+
+        this.categorySelect.value = categories.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Nombre visible de una categoría
+     * @param {string} category - "general" o ID de servicio
+     * @returns {string}
+     */
+    getCategoryLabel(category) {
+        if (category === 'general') {
+            return i18n.t('faq.general');
+        }
+        return this.servicesManager.getService(category)?.title || category;
+    }
+
+    /**
+     * Preguntas que cumplen la búsqueda y la categoría elegidas
+     * @returns {Array<Object>}
+     */
+    getMatches() {
+        const terms = Utils.normalizeText(this.searchInput?.value || '').split(/\s+/).filter(Boolean);
+        const category = this.categorySelect?.value || '';
+
+        return this.items.filter(item =>
+            (!category || item.category === category) &&
+            terms.every(term => item.searchText.includes(term))
+        );
+    }
+
+    /**
+     * Dibuja las preguntas filtradas y anuncia cuántas hay
+     */
+    render() {
+        const escape = Utils.escapeHTML;
+        const matches = this.getMatches();
+        const isFiltered = Boolean(this.searchInput?.value.trim() || this.categorySelect?.value);
+
+        if (matches.length === 0) {
+            this.list.innerHTML = `
+                <p class="faq-empty">
+                    ${escape(i18n.t('faq.empty'))}
+                    <a href="#contacto">${escape(i18n.t('faq.contact'))}</a>
+                </p>
+            `;
+        } else {
+            this.list.innerHTML = matches.map(item => `
+                <details class="faq-item" data-faq="${escape(item.id)}"${this.openIds.has(item.id) ? ' open' : ''}>
+                    <summary>${escape(item.question)}</summary>
+                    <p>${escape(item.answer)}</p>
+                </details>
+            `).join('');
+        }
+
+        if (this.status) {
+            this.status.textContent = isFiltered ? i18n.t('faq.results', { count: matches.length }) : '';
+        }
+    }
+
+    /**
+     * Inserta o actualiza el JSON-LD FAQPage junto a los datos estructurados de la organización
+     */
+    updateSchema() {
+        if (this.items.length === 0) {
+            this.schemaScript?.remove();
+            this.schemaScript = null;
+            return;
+        }
+
+        if (!this.schemaScript) {
+            this.schemaScript = document.createElement('script');
+            this.schemaScript.type = 'application/ld+json';
+            this.schemaScript.id = 'faq-schema';
+
+            const organization = document.querySelector(SELECTORS.structuredData);
+            if (organization) {
+                organization.after(this.schemaScript);
+            } else {
+                document.head.appendChild(this.schemaScript);
+            }
+        }
+
+        this.schemaScript.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            inLanguage: i18n.locale,
+            mainEntity: this.items.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: answer
+                }
+            }))
+        });
+    }
+
+    /**
+     * Olvida las preguntas abiertas y las cargadas
+     */
+    destroy() {
+        this.openIds.clear();
+        this.items = [];
+    }
+}
+
+// ===================================
+// BÚSQUEDA EN EL SITIO
+// ===================================
+
+/**
+ * Paleta de búsqueda (Ctrl/Cmd+K o el botón del navbar). Al iniciar indexa las
+ * secciones, el frente y el reverso de las tarjetas de servicio, las preguntas
+ * frecuentes y los bloques de CONFIG.search.blocks. La búsqueda ignora
+ * mayúsculas y acentos y tolera errores de tecleo.
+ */
+class SearchManager {
+    /**
+     * @param {ServicesManager} servicesManager - Tarjetas a indexar y voltear
+     * @param {FaqManager} faqManager - Preguntas a indexar y abrir
+     */
+    constructor(servicesManager, faqManager) {
+        this.servicesManager = servicesManager;
+        this.faqManager = faqManager;
+        this.toggleBtn = document.querySelector(SELECTORS.searchToggle);
+        this.dialog = document.querySelector(SELECTORS.searchDialog);
+        this.input = this.dialog?.querySelector('#search-input');
+        this.resultsList = this.dialog?.querySelector('#search-results');
+        this.status = this.dialog?.querySelector('[data-search-status]');
+        // null = hay que reconstruirlo antes de la próxima búsqueda
+        this.index = null;
+        this.results = [];
+        this.activeIndex = -1;
+    }
+
+    /**
+     * Inicializa el search manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        if (!this.dialog || !this.input || !this.resultsList) return;
+
+        // En Apple el atajo es Cmd+K
+        const shortcut = this.toggleBtn?.querySelector('.search-shortcut');
+        if (shortcut && /Mac|iPhone|iPad/.test(navigator.platform)) {
+            shortcut.textContent = '⌘ K';
+        }
+
+        this.buildIndex();
+        this.bindEvents(signal);
+
+        // El contenido cambia con el idioma; el índice se rehace al volver a abrir
+        const invalidate = () => {
+            this.index = null;
+        };
+        i18n.onChange(invalidate, { signal });
+        this.servicesManager.onRender(invalidate, { signal });
+        this.faqManager.onLoad(invalidate, { signal });
+    }
+
+    /**
+     * Vincula eventos del botón, el atajo de teclado y la lista de resultados
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.toggleBtn?.addEventListener('click', () => this.open(), { signal });
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'k') return;
+
+            e.preventDefault();
+            if (this.isOpen()) {
+                this.close();
+            } else if (!document.querySelector('dialog[open]')) {
+                this.open();
+            }
+        }, { signal });
+
+        this.input.addEventListener('input', () => this.search(), { signal });
+        this.input.addEventListener('keydown', (e) => this.handleKeyDown(e), { signal });
+
+        this.resultsList.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-result-index]');
+            if (option) this.choose(Number(option.dataset.resultIndex));
+        }, { signal });
+
+        this.resultsList.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-result-index]');
+            if (option) this.setActive(Number(option.dataset.resultIndex));
+        }, { signal });
+    }
+
+    /**
+     * Indica si la paleta está abierta
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.dialog.hasAttribute('open');
+    }
+
+    /**
+     * Abre la paleta con la búsqueda vacía
+     */
+    open() {
+        this.input.value = '';
+        this.search();
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+
+        this.input.focus();
+    }
+
+    /**
+     * Cierra la paleta
+     */
+    close() {
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+        }
+    }
+
+    /**
+     * Normaliza carácter por carácter, para que las posiciones coincidan con
+     * el texto original y se puedan resaltar
+     * @param {string} text - Texto
+     * @returns {string}
+     */
+    static normalize(text) {
+        return text.split('').map(char => Utils.normalizeText(char).charAt(0) || char).join('');
+    }
+
+    /**
+     * Construye el índice a partir del contenido actual de la página
+     */
+    buildIndex() {
+        const entries = [];
+        const textOf = (element) => (element?.textContent || '').replace(/\s+/g, ' ').trim();
+        const add = (entry) => {
+            if (!entry.title) return;
+            entries.push({
+                ...entry,
+                normalizedTitle: SearchManager.normalize(entry.title),
+                normalizedText: SearchManager.normalize(entry.text)
+            });
+        };
+
+        document.querySelectorAll(SELECTORS.searchSections).forEach(section => {
+            if (section.hidden) return;
+            add({
+                type: 'section',
+                title: textOf(section.querySelector('h1, h2')),
+                text: textOf(section.querySelector('.section-description, .hero-description')),
+                element: section
+            });
+        });
+
+        // Frente y reverso por separado: si lo buscado está atrás, la tarjeta se voltea
+        document.querySelectorAll(SELECTORS.serviceCards).forEach(card => {
+            const title = textOf(card.querySelector('.service-title'));
+            const features = Array.from(card.querySelectorAll('.service-features li'), textOf);
+
+            add({ type: 'service', title, text: textOf(card.querySelector('.service-preview')), element: card, side: 'front' });
+            add({
+                type: 'service',
+                title,
+                text: [textOf(card.querySelector('.service-full-description')), ...features].join(' · '),
+                element: card,
+                side: 'back'
+            });
+        });
+
+        this.faqManager.items.forEach(item => {
+            add({ type: 'faq', title: item.question, text: item.answer, faqId: item.id });
+        });
+
+        document.querySelectorAll(CONFIG.search.blocks).forEach(block => {
+            add({
+                type: 'content',
+                title: textOf(block.querySelector('h3, h4')),
+                text: Array.from(block.querySelectorAll('p'), textOf).join(' '),
+                element: block
+            });
+        });
+
+        this.index = entries;
+    }
+
+    /**
+     * Busca el texto del campo y dibuja los resultados
+     */
+    search() {
+        if (!this.index) {
+            this.buildIndex();
+        }
+
+        const terms = Utils.normalizeText(this.input.value).split(/\s+/).filter(Boolean);
+        const seen = new Set();
+
+        this.results = terms.length === 0 ? [] : this.index
+            .map(entry => this.match(entry, terms))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            // Una tarjeta o pregunta aparece una sola vez, con su mejor coincidencia
+            .filter(({ entry }) => {
+                const key = entry.element || entry.faqId;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, CONFIG.search.maxResults);
+
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+        this.renderResults(terms.length > 0);
+    }
+
+    /**
+     * Calcula la puntuación de una entrada; todas las palabras deben coincidir
+     * @param {Object} entry - Entrada del índice
+     * @param {Array<string>} terms - Palabras normalizadas
+     * @returns {Object|null} - { entry, score, titleRanges, textRanges }
+     */
+    match(entry, terms) {
+        let score = 0;
+        const titleRanges = [];
+        const textRanges = [];
+
+        for (const term of terms) {
+            const inTitle = SearchManager.findTerm(entry.normalizedTitle, term);
+            const inText = SearchManager.findTerm(entry.normalizedText, term);
+
+            if (!inTitle && !inText) return null;
+
+            if (inTitle) {
+                score += inTitle.exact ? 10 : 6;
+                titleRanges.push(...inTitle.ranges);
+            }
+            if (inText) {
+                score += inText.exact ? 3 : 1;
+                textRanges.push(...inText.ranges);
+            }
+        }
+
+        return { entry, score, titleRanges, textRanges };
+    }
+
+    /**
+     * Busca una palabra en un texto normalizado: primero literal y, si no
+     * aparece, palabras a una o dos ediciones de distancia
+     * @param {string} text - Texto normalizado
+     * @param {string} term - Palabra normalizada
+     * @returns {Object|null} - { exact, ranges: [[inicio, fin], …] }
+     */
+    static findTerm(text, term) {
+        const ranges = [];
+
+        for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + term.length)) {
+            ranges.push([index, index + term.length]);
+        }
+        if (ranges.length > 0) {
+            return { exact: true, ranges };
+        }
+
+        if (term.length < CONFIG.search.fuzzyMinLength) return null;
+
+        const maxDistance = term.length >= 8 ? 2 : 1;
+        const wordPattern = /[a-z0-9]+/g;
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = match[0];
+            // También contra el inicio de la palabra, para lo que se está escribiendo
+            if ([word, word.slice(0, term.length)].some(candidate => SearchManager.distance(term, candidate) <= maxDistance)) {
+                ranges.push([match.index, match.index + word.length]);
+            }
+        }
+
+        return ranges.length > 0 ? { exact: false, ranges } : null;
+    }
+
+    /**
+     * Distancia de edición entre dos palabras; una transposición cuenta como una edición
+     * @param {string} a - Palabra
+     * @param {string} b - Palabra
+     * @returns {number}
+     */
+    static distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (row, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Escapa un texto y envuelve en <mark> los rangos encontrados
+     * @param {string} text - Texto original
+     * @param {Array<Array<number>>} ranges - Rangos [inicio, fin]
+     * @returns {string} - HTML
+     */
+    static highlight(text, ranges) {
+        const escape = Utils.escapeHTML;
+        const merged = [];
+
+        [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        let html = '';
+        let position = 0;
+        merged.forEach(([start, end]) => {
+            html += `${escape(text.slice(position, start))}<mark>${escape(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+
+        return html + escape(text.slice(position));
+    }
+
+    /**
+     * Fragmento del texto alrededor de la primera coincidencia, resaltado
+     * @param {string} text - Texto original
+     * @param {Array<Array<number>>} ranges - Rangos encontrados en el texto
+     * @returns {string} - HTML
+     */
+    static snippet(text, ranges) {
+        const length = CONFIG.search.snippetLength;
+        const first = ranges.length > 0 ? Math.min(...ranges.map(([start]) => start)) : 0;
+        const start = Math.max(0, Math.min(first - 40, text.length - length));
+        const end = Math.min(text.length, start + length);
+
+        const visibleRanges = ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart < end && rangeEnd > start)
+            .map(([rangeStart, rangeEnd]) => [Math.max(rangeStart, start) - start, Math.min(rangeEnd, end) - start]);
+
+        return `${start > 0 ? '…' : ''}${SearchManager.highlight(text.slice(start, end), visibleRanges)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Dibuja la lista de resultados y anuncia cuántos hay
+     * @param {boolean} hasQuery - Si se escribió algo
+     */
+    renderResults(hasQuery) {
+        const escape = Utils.escapeHTML;
+
+        this.resultsList.innerHTML = this.results.map(({ entry, titleRanges, textRanges }, index) => `
+            <li id="search-result-${index}" class="search-result" role="option" aria-selected="false" data-result-index="${index}">
+                <span class="search-result-type">${escape(i18n.t(`search.types.${entry.type}`))}</span>
+                <span class="search-result-title">${SearchManager.highlight(entry.title, titleRanges)}</span>
+                ${entry.text ? `<span class="search-result-text">${SearchManager.snippet(entry.text, textRanges)}</span>` : ''}
+            </li>
+        `).join('');
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(this.activeIndex);
+
+        if (this.status) {
+            this.status.textContent = hasQuery ? i18n.t('search.count', { count: this.results.length }) : '';
+        }
+    }
+
+    /**
+     * Marca un resultado como activo (aria-activedescendant)
+     * @param {number} index - Posición del resultado
+     */
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.resultsList.querySelectorAll('[role="option"]').forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', String(optionIndex === index));
+        });
+
+        const active = this.resultsList.querySelector(`#search-result-${index}`);
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView?.({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Flechas para moverse entre resultados y Enter para elegir
+     * @param {KeyboardEvent} e - Evento de teclado
+     */
+    handleKeyDown(e) {
+        const total = this.results.length;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (total === 0) return;
+
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + total) % total);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.choose(this.activeIndex);
+        }
+    }
+
+    /**
+     * Lleva al contenido del resultado: desplaza la página, voltea la tarjeta
+     * o abre la pregunta y le pasa el foco
+     * @param {number} index - Posición del resultado
+     */
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const { entry } = result;
+        this.close();
+        analytics.track('search_select', { type: entry.type });
+
+        const target = entry.type === 'faq' ? this.faqManager.reveal(entry.faqId) : entry.element;
+        if (!target || !target.isConnected) return;
+
+        if (entry.type === 'service') {
+            this.servicesManager.flipCard(target, entry.side === 'back');
+        }
+
+        Utils.smoothScrollTo(target);
+        this.focusTarget(target);
+    }
+
+    /**
+     * Pasa el foco al resultado elegido (o a su encabezado) sin desplazar la página
+     * @param {Element} target - Elemento del resultado
+     */
+    focusTarget(target) {
+        const focusable = target.matches('[tabindex], summary') ? target : target.querySelector('summary, h1, h2, h3, h4');
+        if (!focusable) return;
+
+        if (!focusable.matches('[tabindex], summary, a, button')) {
+            focusable.setAttribute('tabindex', '-1');
+        }
+        focusable.focus({ preventScroll: true });
+    }
+
+    /**
+     * Cierra la paleta y descarta el índice y los resultados
+     */
+    destroy() {
+        if (this.dialog) this.close();
+        this.index = null;
+        this.results = [];
+        this.activeIndex = -1;
+    }
+}
+
+// ===================================
+// LECTURA EN VOZ ALTA
+// ===================================
+
+class ReadAloudManager {
+    /**
+     * @param {ServicesManager} [servicesManager] - Para voltear tarjetas antes de leer su reverso
+     */
+    constructor(servicesManager = null) {
+        this.servicesManager = servicesManager;
+        this.player = document.querySelector(SELECTORS.readAloudPlayer);
+        this.synth = ReadAloudManager.isSupported() ? window.speechSynthesis : null;
+        this.settings = this.loadSettings();
+        this.chunks = [];
+        this.index = 0;
+        this.utterance = null;
+        this.activeButton = null;
+        this.isPaused = false;
+        this.highlight = null;
+        this.highlightedElement = null;
+    }
+
+    /**
+     * Indica si el navegador soporta síntesis de voz
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+    }
+
+    /**
+     * HTML del botón "Escuchar"
+     * @returns {string}
+     */
+    static renderButton() {
+        return `
+            <button type="button" class="listen-btn" data-read-aloud>
+                <span aria-hidden="true">🔊</span>
+                <span data-i18n="readAloud.listen">${Utils.escapeHTML(i18n.t('readAloud.listen'))}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Inicializa el read aloud manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        // Sin soporte no se muestra ningún control
+        if (!this.synth || !this.player) return;
+
+        this.playPauseBtn = this.player.querySelector('#read-aloud-toggle');
+        this.stopBtn = this.player.querySelector('#read-aloud-stop');
+        this.rateSelect = this.player.querySelector('#read-aloud-rate');
+        this.voiceSelect = this.player.querySelector('#read-aloud-voice');
+
+        this.addSectionButtons();
+        this.populateVoices();
+        this.rateSelect.value = String(this.settings.rate);
+        this.bindEvents(signal);
+    }
+
+    /**
+     * Agrega un botón "Escuchar" después del título de cada sección
+     */
+    addSectionButtons() {
+        document.querySelectorAll('section').forEach(section => {
+            const heading = section.querySelector('h1, h2');
+            if (heading && !heading.nextElementSibling?.matches('[data-read-aloud]')) {
+                heading.insertAdjacentHTML('afterend', ReadAloudManager.renderButton());
+            }
+        });
+    }
+
+    /**
+     * Vincula eventos
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        // Delegación: las tarjetas se vuelven a dibujar al cambiar de idioma
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-read-aloud]');
+            if (button) {
+                this.handleListenClick(button);
+            }
+        }, { signal });
+
+        this.playPauseBtn.addEventListener('click', () => this.togglePause(), { signal });
+        this.stopBtn.addEventListener('click', () => this.stop(), { signal });
+        this.rateSelect.addEventListener('change', () => this.updateSettings(), { signal });
+        this.voiceSelect.addEventListener('change', () => this.updateSettings(), { signal });
+        this.synth.addEventListener?.('voiceschanged', () => this.populateVoices(), { signal });
+
+        i18n.onChange(() => {
+            this.stop();
+            this.populateVoices();
+        }, { signal });
+    }
+
+    /**
+     * Maneja el click en un botón "Escuchar"
+     * @param {Element} button - Botón pulsado
+     */
+    handleListenClick(button) {
+        if (button === this.activeButton) {
+            this.stop();
+            return;
+        }
+
+        const root = button.closest('.card-back') || button.closest('section');
+        if (root) {
+            this.start(root, button);
+        }
+    }
+
+    /**
+     * Lee las preferencias guardadas de velocidad y voz
+     * @returns {{rate: number, voice: string}}
+     */
+    loadSettings() {
+        const defaults = { rate: 1, voice: '' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(CONFIG.readAloud.storageKey)) };
+        } catch (error) {
+            return defaults;
+        }
+    }
+
+    /**
+     * Guarda la velocidad y la voz elegidas y las aplica a la lectura en curso
+     */
+    updateSettings() {
+        this.settings = { rate: Number(this.rateSelect.value), voice: this.voiceSelect.value };
+        try {
+            localStorage.setItem(CONFIG.readAloud.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            // Las preferencias solo duran esta visita
+        }
+
+        // Reiniciar la frase actual con los nuevos ajustes
+        if (this.utterance && !this.isPaused) {
+            this.speakCurrent();
+        }
+    }
+
+    /**
+     * Lista las voces del idioma activo, con las de es-MX (o el locale activo) primero
+     */
+    populateVoices() {
+        const locale = i18n.locale.toLowerCase();
+        const language = locale.split('-')[0];
+        const voices = this.synth.getVoices();
+        const matching = voices.filter(voice => voice.lang.toLowerCase().replace('_', '-').startsWith(language));
+        const candidates = (matching.length ? matching : voices).slice().sort((a, b) => {
+            const score = voice => (voice.lang.toLowerCase().replace('_', '-') === locale ? 0 : 1);
+            return score(a) - score(b);
+        });
+
+        this.voiceSelect.innerHTML = '';
+        this.voiceSelect.add(new Option(i18n.t('readAloud.defaultVoice'), ''));
+        candidates.forEach(voice => {
+            this.voiceSelect.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+        });
+
+        const saved = candidates.find(voice => voice.voiceURI === this.settings.voice);
+        const preferred = saved || candidates.find(voice => voice.lang.toLowerCase().replace('_', '-') === locale);
+        this.voiceSelect.value = preferred ? preferred.voiceURI : '';
+    }
+
+    /**
+     * Obtiene la voz seleccionada
+     * @returns {SpeechSynthesisVoice|null}
+     */
+    getSelectedVoice() {
+        return this.synth.getVoices().find(voice => voice.voiceURI === this.voiceSelect.value) || null;
+    }
+
+    /**
+     * Divide el contenido legible de un elemento en frases
+     * @param {Element} root - Elemento a leer
+     * @returns {Array<{text: string, element: Element, range: Range}>}
+     */
+    buildChunks(root) {
+        const blocks = Array.from(root.querySelectorAll('h1, h2, h3, h4, p, li'))
+            .filter(element => !element.closest('[data-read-skip], [hidden], [aria-hidden="true"], [data-read-aloud]'));
+
+        return blocks.flatMap(element => this.splitSentences(element));
+    }
+
+    /**
+     * Divide el texto de un bloque en frases con su rango en el DOM
+     * @param {Element} element - Bloque de texto
+     * @returns {Array<{text: string, element: Element, range: Range}>}
+     */
+    splitSentences(element) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let text = '';
+
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.nodeValue;
+        }
+
+        const sentences = [];
+        if (typeof Intl.Segmenter === 'function') {
+            const segmenter = new Intl.Segmenter(i18n.locale, { granularity: 'sentence' });
+            for (const { segment, index } of segmenter.segment(text)) {
+                sentences.push({ start: index, end: index + segment.length });
+            }
+        } else {
+            const pattern = /[^.!?…]+[.!?…]*/g;
+            let match;
+            while ((match = pattern.exec(text))) {
+                sentences.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        return sentences
+            .filter(({ start, end }) => text.slice(start, end).trim())
+            .map(({ start, end }) => ({
+                text: text.slice(start, end).replace(/\s+/g, ' ').trim(),
+                element,
+                range: this.createRange(nodes, start, end)
+            }));
+    }
+
+    /**
+     * Crea un Range a partir de posiciones sobre el texto concatenado
+     * @param {Array<{node: Text, start: number}>} nodes - Nodos de texto y su posición
+     * @param {number} start - Inicio
+     * @param {number} end - Fin
+     * @returns {Range}
+     */
+    createRange(nodes, start, end) {
+        const range = document.createRange();
+        const locate = (offset) => {
+            const entry = nodes.filter(item => item.start <= offset).pop() || nodes[0];
+            return [entry.node, Math.min(offset - entry.start, entry.node.nodeValue.length)];
+        };
+
+        range.setStart(...locate(start));
+        range.setEnd(...locate(end));
+        return range;
+    }
+
+    /**
+     * Empieza a leer un elemento
+     * @param {Element} root - Elemento a leer
+     * @param {Element} button - Botón que inició la lectura
+     */
+    start(root, button) {
+        this.stop();
+
+        this.chunks = this.buildChunks(root);
+        this.index = 0;
+        if (!this.chunks.length) return;
+
+        this.activeButton = button;
+        button.setAttribute('aria-pressed', 'true');
+        this.player.hidden = false;
+        this.speakCurrent();
+    }
+
+    /**
+     * Lee la frase actual y encadena la siguiente al terminar
+     */
+    speakCurrent() {
+        const chunk = this.chunks[this.index];
+        if (!chunk) {
+            this.stop();
+            return;
+        }
+
+        this.prepareChunk(chunk);
+        this.highlightChunk(chunk);
+
+        const utterance = new SpeechSynthesisUtterance(chunk.text);
+        utterance.lang = i18n.locale;
+        utterance.rate = this.settings.rate;
+        utterance.voice = this.getSelectedVoice();
+
+        const next = () => {
+            // Ignorar eventos de frases canceladas
+            if (this.utterance !== utterance) return;
+            this.index++;
+            this.speakCurrent();
+        };
+        utterance.addEventListener('end', next);
+        utterance.addEventListener('error', (e) => {
+            if (e.error !== 'interrupted' && e.error !== 'canceled') next();
+        });
+
+        this.utterance = utterance;
+        this.isPaused = false;
+        this.updatePlayer();
+        this.synth.cancel();
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Prepara la página antes de leer una frase: voltea la tarjeta si es su reverso
+     * @param {Object} chunk - Frase a leer
+     */
+    prepareChunk(chunk) {
+        const card = chunk.element.closest('.card-back')?.closest(SELECTORS.serviceCards);
+        if (card && this.servicesManager) {
+            this.servicesManager.flipCard(card, true);
+        }
+    }
+
+    /**
+     * Resalta la frase que se está leyendo
+     * @param {Object} chunk - Frase a resaltar
+     */
+    highlightChunk(chunk) {
+        this.clearHighlight();
+
+        // CSS Custom Highlight API: resalta sin modificar el DOM
+        if (window.CSS?.highlights && typeof window.Highlight === 'function') {
+            this.highlight = new Highlight(chunk.range);
+            CSS.highlights.set('read-aloud', this.highlight);
+        } else {
+            chunk.element.classList.add('reading-active');
+            this.highlightedElement = chunk.element;
+        }
+
+        const rect = chunk.element.getBoundingClientRect();
+        if (rect.top < 0 || rect.bottom > window.innerHeight) {
+            chunk.element.scrollIntoView({ block: 'center', behavior: Utils.getScrollBehavior() });
+        }
+    }
+
+    /**
+     * Quita el resaltado
+     */
+    clearHighlight() {
+        if (this.highlight) {
+            CSS.highlights.delete('read-aloud');
+            this.highlight = null;
+        }
+        if (this.highlightedElement) {
+            this.highlightedElement.classList.remove('reading-active');
+            this.highlightedElement = null;
+        }
+    }
+
+    /**
+     * Pausa o reanuda la lectura
+     */
+    togglePause() {
+        if (!this.utterance) return;
+
+        if (this.isPaused) {
+            this.synth.resume();
+        } else {
+            this.synth.pause();
+        }
+        this.isPaused = !this.isPaused;
+        this.updatePlayer();
+    }
+
+    /**
+     * Detiene la lectura
+     */
+    stop() {
+        this.utterance = null;
+        this.isPaused = false;
+        this.chunks = [];
+        this.synth?.cancel();
+        this.clearHighlight();
+
+        if (this.activeButton) {
+            this.activeButton.removeAttribute('aria-pressed');
+            this.activeButton = null;
+        }
+        if (this.player) {
+            this.player.hidden = true;
+        }
+    }
+
+    /**
+     * Actualiza el botón de pausa del reproductor
+     */
+    updatePlayer() {
+        const key = this.isPaused ? 'readAloud.resume' : 'readAloud.pause';
+        this.playPauseBtn.setAttribute('aria-label', i18n.t(key));
+        this.playPauseBtn.querySelector('span').textContent = this.isPaused ? '▶' : '⏸';
+    }
+
+    /**
+     * Detiene la lectura al destruir la aplicación
+     */
+    destroy() {
+        this.stop();
+    }
+}
+
+// ===================================
+// VALIDACIÓN DE FORMULARIOS
+// ===================================
+
+/**
+ * Validador declarativo. Cada campo describe sus reglas en `data-rules`
+ * (`required|email|minLength:10`) y puede sobrescribir mensajes con
+ * `data-messages="required:clave.i18n;minLength:otra.clave"`.
+ */
+class FormValidator {
+    /**
+     * @param {HTMLFormElement} form - Formulario a validar
+     * @param {Object} [options] - Opciones
+     * @param {Object<string, string>} [options.schema] - Reglas por nombre de campo; tienen prioridad sobre data-rules
+     * @param {Element} [options.summary] - Contenedor del resumen de errores
+     */
+    constructor(form, { schema = {}, summary = null } = {}) {
+        this.form = form;
+        this.schema = schema;
+        this.summary = summary || form.querySelector('[data-error-summary]');
+        // Errores actuales por campo: { key, params } o { message } si vienen del servidor
+        this.errors = new Map();
+        this.fieldToken = new WeakMap();
+    }
+
+    /**
+     * Registra una regla disponible para todos los formularios
+     * @param {string} name - Nombre de la regla en data-rules
+     * @param {Function} test - (value, args, field, form) => boolean | Promise<boolean>
+     * @param {string} [messageKey] - Clave de traducción del mensaje; por defecto validation.<name>
+     */
+    static addRule(name, test, messageKey = `validation.${name}`) {
+        FormValidator.rules[name] = { test, messageKey };
+    }
+
+    /**
+     * Convierte "required|minLength:10" en [{ name, args }]
+     * @param {string} rules - Reglas separadas por |
+     * @returns {Array<{name: string, args: Array<string>}>}
+     */
+    static parseRules(rules = '') {
+        return rules.split('|')
+            .map(rule => rule.trim())
+            .filter(Boolean)
+            .map(rule => {
+                const [name, args = ''] = rule.split(/:(.*)/s);
+                return { name, args: args ? args.split(',') : [] };
+            });
+    }
+
+    /**
+     * Inicializa el validador
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        // Los mensajes los muestra el validador, no el navegador
+        this.form.noValidate = true;
+
+        if (!this.summary) {
+            this.summary = document.createElement('div');
+            this.summary.className = 'form-error-summary';
+            this.summary.setAttribute('data-error-summary', '');
+            this.form.prepend(this.summary);
+        }
+        this.summary.tabIndex = -1;
+        this.summary.setAttribute('role', 'alert');
+        this.summary.hidden = true;
+
+        this.getFields().forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field), { signal });
+            // En grupos de radios o casillas, cualquier opción limpia el error del grupo
+            this.getGroup(field).forEach(member => {
+                member.addEventListener('input', () => this.clearFieldError(field), { signal });
+            });
+        });
+
+        this.summary.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-field]');
+            if (link) {
+                e.preventDefault();
+                this.getField(link.dataset.field)?.focus();
+            }
+        }, { signal });
+
+        i18n.onChange(() => this.translate(), { signal });
+    }
+
+    /**
+     * Campos activos del formulario que tienen reglas. De cada grupo de radios o
+     * casillas con el mismo nombre solo se toma el primero.
+     * @param {Element} [root] - Limita la búsqueda a una parte del formulario
+     * @returns {Array<Element>}
+     */
+    getFields(root = this.form) {
+        const seen = new Set();
+
+        return Array.from(this.form.elements).filter(field => {
+            if (!field.name || field.matches(':disabled') || seen.has(field.name) || !root.contains(field)) {
+                return false;
+            }
+            seen.add(field.name);
+            return this.getRules(field).length > 0;
+        });
+    }
+
+    /**
+     * Primer campo con un nombre dado
+     * @param {string} name - Nombre del campo
+     * @returns {Element|undefined}
+     */
+    getField(name) {
+        return Array.from(this.form.elements).find(field => field.name === name);
+    }
+
+    /**
+     * Campos que comparten el nombre de un campo (grupos de radios o casillas)
+     * @param {Element} field - Campo
+     * @returns {Array<Element>}
+     */
+    getGroup(field) {
+        return Array.from(this.form.elements).filter(member => member.name === field.name);
+    }
+
+    /**
+     * Valor de un campo; en grupos, las opciones marcadas separadas por comas
+     * @param {Element} field - Campo
+     * @returns {string}
+     */
+    getValue(field) {
+        if (field.type === 'radio' || field.type === 'checkbox') {
+            return this.getGroup(field)
+                .filter(member => member.checked && !member.matches(':disabled'))
+                .map(member => member.value)
+                .join(', ');
+        }
+        return field.value.trim();
+    }
+
+    /**
+     * Etiqueta visible de un campo; en grupos, la leyenda de su fieldset
+     * @param {Element} field - Campo
+     * @returns {string}
+     */
+    getLabel(field) {
+        const label = this.getGroup(field).length > 1
+            ? field.closest('fieldset')?.querySelector('legend')
+            : field.labels?.[0];
+        return label ? label.textContent.trim() : field.name;
+    }
+
+    /**
+     * Reglas de un campo
+     * @param {Element} field - Campo
+     * @returns {Array<{name: string, args: Array<string>}>}
+     */
+    getRules(field) {
+        return FormValidator.parseRules(this.schema[field.name] ?? field.dataset.rules);
+    }
+
+    /**
+     * Mensajes propios del campo definidos en data-messages
+     * @param {Element} field - Campo
+     * @returns {Object<string, string>} - Clave de traducción por regla
+     */
+    getFieldMessages(field) {
+        return Object.fromEntries((field.dataset.messages || '')
+            .split(';')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([rule, key]) => rule && key));
+    }
+
+    /**
+     * Valida el formulario (o una parte) y muestra el resumen de errores
+     * @param {Element} [root] - Parte del formulario a validar, p. ej. un paso
+     * @returns {Promise<boolean>} - Si es válido
+     */
+    async validate(root = this.form) {
+        const results = await Promise.all(this.getFields(root).map(field => this.validateField(field)));
+        const isValid = results.every(Boolean);
+
+        this.renderSummary();
+        if (!isValid) {
+            this.summary.focus();
+        }
+
+        return isValid;
+    }
+
+    /**
+     * Valida un campo
+     * @param {Element} field - Campo a validar
+     * @returns {Promise<boolean>} - Si es válido
+     */
+    async validateField(field) {
+        if (field.matches(':disabled')) {
+            this.clearFieldError(field);
+            return true;
+        }
+
+        const value = this.getValue(field);
+        const messages = this.getFieldMessages(field);
+
+        // Si el campo cambia mientras corre una regla asíncrona, se descarta el resultado viejo
+        const token = {};
+        this.fieldToken.set(field, token);
+
+        for (const { name, args } of this.getRules(field)) {
+            const rule = FormValidator.rules[name];
+            if (!rule) {
+                console.warn(`Regla de validación desconocida: ${name}`);
+                continue;
+            }
+
+            // Solo "required" se evalúa con el campo vacío
+            if (!value && name !== 'required') continue;
+
+            const valid = await rule.test(value, args, field, this.form);
+            if (this.fieldToken.get(field) !== token) return !this.errors.has(field.name);
+
+            if (!valid) {
+                this.setFieldError(field, {
+                    key: messages[name] || rule.messageKey,
+                    params: { value: args[0], args: args.join(', ') }
+                });
+                return false;
+            }
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    /**
+     * Guarda y muestra el error de un campo
+     * @param {Element} field - Campo
+     * @param {{key?: string, params?: Object, message?: string}} error - Error a mostrar
+     */
+    setFieldError(field, error) {
+        this.errors.set(field.name, error);
+
+        const group = field.closest('.form-group') || field.parentNode;
+        let errorElement = group.querySelector('.error-message');
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.className = 'error-message';
+            errorElement.id = `${field.id || field.name}-error`;
+            group.appendChild(errorElement);
+        }
+        errorElement.textContent = this.getMessage(error);
+
+        field.classList.add('error');
+        field.setAttribute('aria-invalid', 'true');
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            field.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+        }
+
+        if (!this.summary?.hidden) {
+            this.renderSummary();
+        }
+    }
+
+    /**
+     * Limpia el error de un campo
+     * @param {Element} field - Campo a limpiar
+     */
+    clearFieldError(field) {
+        if (!this.errors.delete(field.name) && !field.classList.contains('error')) return;
+
+        const group = field.closest('.form-group') || field.parentNode;
+        const errorElement = group.querySelector('.error-message');
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+
+        if (errorElement) {
+            const describedBy = (field.getAttribute('aria-describedby') || '')
+                .split(' ')
+                .filter(id => id && id !== errorElement.id);
+            if (describedBy.length) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+            errorElement.remove();
+        }
+
+        if (!this.summary?.hidden) {
+            this.renderSummary();
+        }
+    }
+
+    /**
+     * Muestra errores ya localizados, p. ej. los devueltos por el servidor
+     * @param {Object<string, string>} fieldErrors - Mensaje por nombre de campo
+     * @returns {boolean} - Si algún error corresponde a un campo del formulario
+     */
+    showErrors(fieldErrors = {}) {
+        let shown = false;
+
+        Object.entries(fieldErrors).forEach(([fieldName, message]) => {
+            const field = this.getField(fieldName);
+            if (field) {
+                this.setFieldError(field, { message });
+                shown = true;
+            }
+        });
+
+        this.renderSummary();
+        if (shown) {
+            this.summary.focus();
+        }
+
+        return shown;
+    }
+
+    /**
+     * Texto de un error en el idioma activo
+     * @param {{key?: string, params?: Object, message?: string}} error - Error
+     * @returns {string}
+     */
+    getMessage(error) {
+        return error.message ?? i18n.t(error.key, error.params);
+    }
+
+    /**
+     * Dibuja el resumen con un enlace a cada campo con error
+     */
+    renderSummary() {
+        if (!this.summary) return;
+
+        if (!this.errors.size) {
+            this.summary.hidden = true;
+            this.summary.innerHTML = '';
+            return;
+        }
+
+        const items = Array.from(this.errors.entries()).map(([fieldName, error]) => {
+            const field = this.getField(fieldName);
+            const label = field ? this.getLabel(field) : fieldName;
+            return `
+                <li>
+                    <a href="#${Utils.escapeHTML(field?.id || '')}" data-field="${Utils.escapeHTML(fieldName)}">
+                        ${Utils.escapeHTML(label)}: ${Utils.escapeHTML(this.getMessage(error))}
+                    </a>
+                </li>
+            `;
+        }).join('');
+
+        this.summary.innerHTML = `
+            <p class="form-error-summary-title">${Utils.escapeHTML(i18n.t('validation.summary', { count: this.errors.size }))}</p>
+            <ul>${items}</ul>
+        `;
+        this.summary.hidden = false;
+    }
+
+    /**
+     * Vuelve a traducir los errores visibles
+     */
+    translate() {
+        this.errors.forEach((error, fieldName) => {
+            const field = this.getField(fieldName);
+            const errorElement = field?.closest?.('.form-group')?.querySelector('.error-message');
+            if (errorElement) {
+                errorElement.textContent = this.getMessage(error);
+            }
+        });
+
+        if (!this.summary?.hidden) {
+            this.renderSummary();
+        }
+    }
+
+    /**
+     * Quita los errores de campos que dejaron de estar activos
+     */
+    clearDisabled() {
+        Array.from(this.errors.keys())
+            .map(fieldName => this.getField(fieldName))
+            .filter(field => field?.matches(':disabled'))
+            .forEach(field => this.clearFieldError(field));
+    }
+
+    /**
+     * Quita todos los errores
+     */
+    reset() {
+        Array.from(this.errors.keys()).forEach(fieldName => {
+            const field = this.getField(fieldName);
+            if (field) {
+                this.clearFieldError(field);
+            }
+        });
+        this.errors.clear();
+        this.renderSummary();
+    }
+}
+
+// Reglas incluidas. Se pueden agregar más con FormValidator.addRule()
+FormValidator.rules = {};
+FormValidator.addRule('required', value => value !== '');
+FormValidator.addRule('email', value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value));
+FormValidator.addRule('phone', value => /^[\+]?[\s\-\(\)]?[\d\s\-\(\)]{10,}$/.test(value));
+FormValidator.addRule('minLength', (value, [min]) => value.length >= Number(min));
+FormValidator.addRule('maxLength', (value, [max]) => value.length <= Number(max));
+FormValidator.addRule('number', value => !Number.isNaN(Number(value)));
+FormValidator.addRule('min', (value, [min]) => Number(value) >= Number(min));
+FormValidator.addRule('max', (value, [max]) => Number(value) <= Number(max));
+FormValidator.addRule('matches', (value, [other], field, form) => value === form.elements.namedItem(other)?.value);
+
+// ===================================
+// PROTECCIÓN ANTISPAM
+// ===================================
+
+/**
+ * Protección por capas sin CAPTCHAs externos: campo trampa (honeypot), tiempo
+ * mínimo de llenado, límite de envíos en este navegador y una prueba de trabajo
+ * opcional que el servidor puede verificar.
+ */
+class SpamGuard {
+    /**
+     * @param {HTMLFormElement} form - Formulario a proteger
+     * @param {Object} [options] - Opciones; por defecto CONFIG.spam
+     */
+    constructor(form, options = {}) {
+        this.form = form;
+        this.settings = { ...CONFIG.spam, ...options };
+        this.honeypot = null;
+        this.startedAt = null;
+    }
+
+    /**
+     * Inicializa la protección del formulario
+     */
+    init() {
+        this.honeypot = this.form.querySelector(`[name="${this.settings.honeypotField}"]`) || this.createHoneypot();
+
+        // El tiempo de llenado empieza al mostrar el formulario: con un borrador restaurado
+        // o campos prellenados se puede enviar sin volver a interactuar
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Agrega el campo trampa: invisible para las personas, atractivo para los bots
+     * @returns {HTMLInputElement}
+     */
+    createHoneypot() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'hp-field';
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.innerHTML = `
+            <label>
+                ${Utils.escapeHTML(i18n.t('spam.honeypotLabel'))}
+                <input type="text" name="${this.settings.honeypotField}" tabindex="-1" autocomplete="off">
+            </label>
+        `;
+        this.form.appendChild(wrapper);
+        return wrapper.querySelector('input');
+    }
+
+    /**
+     * Milisegundos desde que se mostró el formulario o desde el último envío
+     * @returns {number}
+     */
+    getElapsed() {
+        return this.startedAt ? Date.now() - this.startedAt : 0;
+    }
+
+    /**
+     * Envíos recientes registrados en este navegador
+     * @returns {Array<number>} - Marcas de tiempo dentro de la ventana
+     */
+    static getRecentSubmissions() {
+        const { storageKey, windowMs } = CONFIG.spam.rateLimit;
+        const now = Date.now();
+
+        try {
+            const times = JSON.parse(localStorage.getItem(storageKey)) || [];
+            return times.filter(time => now - time < windowMs);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Revisa las señales antispam antes de enviar
+     * @returns {{reason: string, retryAfter: number}|null} - Motivo del bloqueo o null si pasa
+     */
+    check() {
+        if (this.honeypot?.value) {
+            return { reason: 'honeypot', retryAfter: 0 };
+        }
+
+        const elapsed = this.getElapsed();
+        if (elapsed < this.settings.minFillTime) {
+            return { reason: 'tooFast', retryAfter: Math.ceil((this.settings.minFillTime - elapsed) / 1000) };
+        }
+
+        const { max, windowMs } = this.settings.rateLimit;
+        const recent = SpamGuard.getRecentSubmissions();
+        if (recent.length >= max) {
+            return { reason: 'rateLimited', retryAfter: Math.ceil((recent[0] + windowMs - Date.now()) / 1000) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Lanza un SubmissionError de tipo "blocked" si el envío no pasa la revisión
+     */
+    assertAllowed() {
+        const blocked = this.check();
+        if (blocked) {
+            throw new SubmissionError(`Submission blocked: ${blocked.reason}`, { type: 'blocked', ...blocked });
+        }
+    }
+
+    /**
+     * Agrega los campos de control que el servidor revisa
+     * @param {Object} data - Datos del formulario
+     * @returns {Object}
+     */
+    annotate(data) {
+        return {
+            ...data,
+            [this.settings.honeypotField]: this.honeypot?.value || '',
+            _elapsed: this.getElapsed()
+        };
+    }
+
+    /**
+     * Registra un envío para el límite local y reinicia el tiempo de llenado
+     */
+    recordSubmission() {
+        const { storageKey } = this.settings.rateLimit;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify([...SpamGuard.getRecentSubmissions(), Date.now()]));
+        } catch (error) {
+            // Sin localStorage el límite solo lo aplica el servidor
+        }
+        // El siguiente mensaje se empieza a llenar ahora
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Resuelve un reto del servidor y lo agrega a los datos. Se llama antes de cada
+     * envío JSON, así los mensajes en cola reciben un reto vigente al reenviarse.
+     * @param {Object} data - Datos a enviar
+     * @param {Object} [options] - Opciones del transporte que envía
+     * @param {number} [options.timeout] - Tiempo máximo para obtener el reto (ms)
+     * @returns {Promise<Object>}
+     */
+    static async attachProof(data, { timeout = CONFIG.submission.timeout } = {}) {
+        const { enabled } = CONFIG.spam.proofOfWork;
+        if (!enabled) {
+            return data;
+        }
+
+        const challenge = await SpamGuard.fetchChallenge(timeout);
+        const nonce = await SpamGuard.solve(challenge);
+        return { ...data, _proof: { ...challenge, nonce } };
+    }
+
+    /**
+     * Pide un reto al servidor. Los fallos se reportan como SubmissionError transitorios
+     * (network, timeout o server): sin reto el envío no es inválido, solo hay que reintentarlo.
+     * @param {number} timeout - Tiempo máximo de la petición (ms)
+     * @returns {Promise<Object>} - Reto firmado
+     */
+    static async fetchChallenge(timeout) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(CONFIG.spam.proofOfWork.challengeUrl, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new SubmissionError(`HTTP ${response.status} al pedir el reto`, { type: 'server', status: response.status });
+            }
+            return await response.json();
+        } catch (error) {
+            if (error instanceof SubmissionError) {
+                throw error;
+            }
+            // Un cuerpo que no es JSON también es un fallo del servidor
+            const type = error.name === 'AbortError' ? 'timeout' : error.name === 'SyntaxError' ? 'server' : 'network';
+            throw new SubmissionError(error.message, { type });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Busca un nonce cuyo SHA-256 tenga los bits en cero que pide el reto
+     * @param {{challenge: string, difficulty: number}} challenge - Reto del servidor
+     * @returns {Promise<number>}
+     */
+    static async solve({ challenge, difficulty }) {
+        const encoder = new TextEncoder();
+        // crypto.subtle solo existe en contextos seguros (HTTPS o localhost)
+        const digest = window.crypto?.subtle
+            ? async (bytes) => new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+            : SpamGuard.sha256;
+
+        for (let nonce = 0; ; nonce++) {
+            const hash = await digest(encoder.encode(`${challenge}:${nonce}`));
+            if (SpamGuard.leadingZeroBits(hash) >= difficulty) {
+                return nonce;
+            }
+        }
+    }
+
+    /**
+     * SHA-256 en JavaScript, para cuando no hay crypto.subtle
+     * @param {Uint8Array} bytes - Datos
+     * @returns {Uint8Array} - Hash de 32 bytes
+     */
+    static sha256(bytes) {
+        const k = SpamGuard.SHA256_K;
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // Relleno: 0x80, ceros y la longitud en bits (big-endian) hasta completar bloques de 64 bytes
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const message = new Uint8Array(length);
+        message.set(bytes);
+        message[bytes.length] = 0x80;
+        const view = new DataView(message.buffer);
+        view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(length - 4, bytes.length * 8);
+
+        const w = new Uint32Array(64);
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + k[i] + w[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                hh = g;
+                g = f;
+                f = e;
+                e = (d + t1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) >>> 0;
+            }
+
+            [a, b, c, d, e, f, g, hh].forEach((value, i) => {
+                h[i] = (h[i] + value) >>> 0;
+            });
+        }
+
+        const hash = new Uint8Array(32);
+        const hashView = new DataView(hash.buffer);
+        h.forEach((value, i) => hashView.setUint32(i * 4, value));
+        return hash;
+    }
+
+    /**
+     * Constantes de ronda de SHA-256
+     * @returns {Array<number>}
+     */
+    static get SHA256_K() {
+        return [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+    }
+
+    /**
+     * Cuenta los bits en cero al inicio de un hash
+     * @param {Uint8Array} bytes - Hash
+     * @returns {number}
+     */
+    static leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    }
+}
+
+// ===================================
+// TRANSPORTES DE ENVÍO
+// ===================================
+
+/**
+ * Error de envío con información suficiente para decidir si reintentar
+ * y para mapear errores de validación del servidor a campos del formulario
+ */
+class SubmissionError extends Error {
+    /**
+     * @param {string} message - Mensaje técnico del error
+     * @param {Object} [details] - Detalles del error
+     * @param {string} [details.type] - network | timeout | server | validation | client | blocked | unsupported
+     * @param {number} [details.status] - Código HTTP de la respuesta
+     * @param {Object} [details.fieldErrors] - Errores por campo { nombre: 'mensaje' }
+     * @param {string} [details.reason] - Motivo del bloqueo antispam
+     * @param {number} [details.retryAfter] - Segundos antes de poder reintentar
+     */
+    constructor(message, { type = 'network', status = 0, fieldErrors = {}, reason = null, retryAfter = 0 } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.type = type;
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.reason = reason;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Indica si tiene sentido reintentar el envío
+     * @returns {boolean}
+     */
+    get retryable() {
+        return this.type === 'network' || this.type === 'timeout' || this.type === 'server';
+    }
+}
+
+/**
+ * Envía los datos como JSON mediante POST a un endpoint configurable,
+ * con timeout por intento y reintentos con backoff exponencial
+ */
+class JsonTransport {
+    /**
+     * @param {Object} [options] - Opciones del transporte
+     */
+    constructor(options = {}) {
+        const settings = { ...CONFIG.submission, ...options };
+        this.name = 'json';
+        this.endpoint = settings.endpoint;
+        this.timeout = settings.timeout;
+        this.retries = settings.retries;
+        this.retryBaseDelay = settings.retryBaseDelay;
+        // Paso previo a cada envío, p. ej. adjuntar la prueba de trabajo.
+        // Recibe (data, { timeout }) y debe lanzar SubmissionError para que se reintente
+        this.prepare = settings.prepare || null;
+    }
+
+    /**
+     * Envía los datos reintentando los errores transitorios
+     * @param {Object} data - Datos a enviar
+     * @returns {Promise<Object>} - Respuesta del servidor
+     */
+    async send(data) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                // En cada intento: un reto de prueba de trabajo solo se acepta una vez
+                const payload = this.prepare ? await this.prepare(data, { timeout: this.timeout }) : data;
+                return await this.request(payload);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) {
+                    throw error;
+                }
+                attempt++;
+                await Utils.wait(this.retryBaseDelay * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    /**
+     * Realiza un único intento de envío
+     * @param {Object} data - Datos a enviar
+     * @returns {Promise<Object>} - Respuesta del servidor
+     */
+    async request(data) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Accept-Language': i18n.language
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const type = error.name === 'AbortError' ? 'timeout' : 'network';
+            throw new SubmissionError(error.message, { type });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const body = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            return body;
+        }
+
+        if (response.status === 400 || response.status === 422) {
+            throw new SubmissionError(body.message || 'Validation failed', {
+                type: 'validation',
+                status: response.status,
+                fieldErrors: body.errors || {}
+            });
+        }
+
+        if (response.status === 429 || (response.status === 403 && body.reason)) {
+            throw new SubmissionError(body.message || 'Submission blocked', {
+                type: 'blocked',
+                status: response.status,
+                reason: body.reason || 'rateLimited',
+                retryAfter: Number(body.retryAfter || response.headers.get('Retry-After')) || 0
+            });
+        }
+
+        throw new SubmissionError(body.message || `HTTP ${response.status}`, {
+            type: response.status >= 500 ? 'server' : 'client',
+            status: response.status
+        });
+    }
+}
+
+/**
+ * Abre el cliente de correo del usuario con los datos prellenados.
+ * Se usa como último recurso cuando el endpoint no está disponible.
+ */
+class MailtoTransport {
+    /**
+     * @param {Object} [options] - Opciones del transporte
+     */
+    constructor(options = {}) {
+        const settings = { ...CONFIG.submission, ...options };
+        this.name = 'mailto';
+        this.address = settings.mailtoAddress;
+        this.subject = settings.mailtoSubject || null;
+    }
+
+    /**
+     * Construye la URL mailto: con los datos del formulario
+     * @param {Object} data - Datos a enviar
+     * @returns {string} - URL mailto:
+     */
+    buildUrl(data) {
+        const body = Object.entries(data)
+            .filter(([key]) => !key.startsWith('_') && key !== CONFIG.spam.honeypotField)
+            .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join('\n');
+
+        const subject = this.subject || i18n.t('contact.form.mailtoSubject');
+        return `mailto:${this.address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    /**
+     * Abre el cliente de correo
+     * @param {Object} data - Datos a enviar
+     * @returns {Promise<Object>}
+     */
+    async send(data) {
+        window.location.href = this.buildUrl(data);
+        return {};
+    }
+}
+
+/**
+ * Prueba los transportes en orden hasta que uno tenga éxito.
+ * Los errores de validación no pasan al siguiente transporte.
+ */
+class SubmissionService {
+    /**
+     * @param {Array} [transports] - Transportes en orden de preferencia
+     */
+    constructor(transports = [new JsonTransport(), new MailtoTransport()]) {
+        this.transports = transports;
+    }
+
+    /**
+     * Envía los datos
+     * @param {Object} data - Datos a enviar
+     * @returns {Promise<{transport: string, response: Object}>}
+     */
+    async submit(data) {
+        let lastError = new SubmissionError('No transports configured');
+
+        for (const transport of this.transports) {
+            try {
+                const response = await transport.send(data);
+                return { transport: transport.name, response };
+            } catch (error) {
+                // Solo un fallo de conexión o del servidor pasa a la cola o al correo. Lo que el
+                // servidor rechazó (datos inválidos, bloqueos, otros 4xx) se repetiría al reenviarlo.
+                if (error instanceof SubmissionError && !error.retryable && error.type !== 'unsupported') {
+                    throw error;
+                }
+                console.warn(`Transporte "${transport.name}" falló:`, error);
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+// ===================================
+// ALMACENAMIENTO OFFLINE DEL FORMULARIO
+// ===================================
+
+/**
+ * Guarda en localStorage el borrador del formulario, campo por campo
+ */
+class DraftStore {
+    /**
+     * @param {string} [storageKey] - Clave en localStorage
+     */
+    constructor(storageKey = CONFIG.offline.draftKey) {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Lee el borrador guardado
+     * @returns {Object} - Valores por nombre de campo
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Guarda el valor de un campo
+     * @param {string} fieldName - Nombre del campo
+     * @param {string|boolean} value - Valor del campo (true en casillas marcadas)
+     */
+    saveField(fieldName, value) {
+        const draft = this.load();
+
+        if (value) {
+            draft[fieldName] = value;
+        } else {
+            delete draft[fieldName];
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(draft));
+        } catch (error) {
+            // Almacenamiento lleno o bloqueado (modo privado): el borrador es opcional
+        }
+    }
+
+    /**
+     * Elimina el borrador
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Ignorar: no hay nada que limpiar si el almacenamiento no está disponible
+        }
+    }
+}
+
+/**
+ * Cola de envíos pendientes guardada en IndexedDB
+ */
+class SubmissionQueue {
+    /**
+     * @param {string} [dbName] - Nombre de la base de datos
+     * @param {string} [storeName] - Nombre del object store
+     */
+    constructor(dbName = CONFIG.offline.dbName, storeName = CONFIG.offline.storeName) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Indica si el navegador soporta IndexedDB
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Convierte una petición de IndexedDB en promesa
+     * @param {IDBRequest} request - Petición
+     * @returns {Promise}
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Abre (y crea si hace falta) la base de datos
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            this.dbPromise = SubmissionQueue.promisify(request);
+        }
+        return this.dbPromise;
+    }
 
-            // Eventos de teclado para accesibilidad
-            card.addEventListener('keydown', (e) => this.handleKeyDown(e, card));
-            
-            // Hacer las tarjetas focusables
-            card.setAttribute('tabindex', '0');
+    /**
+     * Ejecuta una operación sobre el object store
+     * @param {string} mode - readonly | readwrite
+     * @param {Function} operation - Recibe el store y devuelve una IDBRequest
+     * @returns {Promise}
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+        return SubmissionQueue.promisify(operation(store));
+    }
+
+    /**
+     * Agrega un envío a la cola
+     * @param {Object} data - Datos del formulario
+     * @returns {Promise<number>} - ID del elemento en cola
+     */
+    add(data) {
+        return this.run('readwrite', store => store.add({ data, queuedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Obtiene todos los envíos en cola
+     * @returns {Promise<Array>}
+     */
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Cuenta los envíos en cola
+     * @returns {Promise<number>}
+     */
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+
+    /**
+     * Elimina un envío de la cola
+     * @param {number} id - ID del elemento
+     * @returns {Promise}
+     */
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Reenvía los elementos en cola en orden. Se detiene en el primer
+     * error transitorio o límite de envíos; los rechazados por el servidor salen de la cola.
+     * @param {Object} transport - Transporte con método send(data)
+     * @returns {Promise<{sent: number, rejected: Array, pending: number}>}
+     */
+    async flush(transport) {
+        const items = await this.getAll();
+        const result = { sent: 0, rejected: [], pending: 0 };
+
+        for (const [index, item] of items.entries()) {
+            try {
+                await transport.send(item.data);
+                await this.remove(item.id);
+                result.sent++;
+            } catch (error) {
+                // Solo el límite de envíos (trae retryAfter) es temporal; un bloqueo por la
+                // prueba de trabajo o el campo trampa se repetiría y detendría toda la cola
+                const isRateLimited = error.type === 'blocked' && error.retryAfter > 0;
+                if (error instanceof SubmissionError && !error.retryable && !isRateLimited) {
+                    await this.remove(item.id);
+                    result.rejected.push({ ...item, error });
+                } else {
+                    result.pending = items.length - index;
+                    break;
+                }
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Transporte que guarda el envío en la cola offline para reenviarlo después
+ */
+class QueueTransport {
+    /**
+     * @param {SubmissionQueue} queue - Cola de envíos
+     */
+    constructor(queue) {
+        this.name = 'queue';
+        this.queue = queue;
+    }
+
+    /**
+     * Guarda los datos en la cola
+     * @param {Object} data - Datos a enviar
+     * @returns {Promise<Object>}
+     */
+    async send(data) {
+        if (!this.queue.isSupported) {
+            throw new SubmissionError('IndexedDB not supported', { type: 'unsupported' });
+        }
+        const id = await this.queue.add(data);
+        return { queueId: id };
+    }
+}
+
+// ===================================
+// GESTOR DE FORMULARIOS
+// ===================================
+
+class FormManager {
+    /**
+     * @param {SubmissionService} [submissionService] - Servicio de envío
+     */
+    constructor(submissionService = null) {
+        this.contactForm = document.querySelector(SELECTORS.contactForm);
+        this.statusElement = document.querySelector(SELECTORS.formStatus);
+        this.validator = this.contactForm ? new FormValidator(this.contactForm) : null;
+        this.spamGuard = this.contactForm ? new SpamGuard(this.contactForm) : null;
+        this.draftStore = new DraftStore();
+        this.queue = new SubmissionQueue();
+        this.resendTransport = new JsonTransport({ prepare: SpamGuard.attachProof });
+        this.submissionService = submissionService || new SubmissionService([
+            this.resendTransport,
+            new QueueTransport(this.queue),
+            new MailtoTransport()
+        ]);
+        this.isSubmitting = false;
+        this.isFlushing = false;
+        // Reintento programado de la cola y cuántos van sin avance
+        this.retryTimer = null;
+        this.retryAttempt = 0;
+        this.signal = null;
+    }
+
+    /**
+     * Inicializa el form manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        this.signal = signal || null;
+
+        if (this.contactForm) {
+            this.validator.init({ signal });
+            this.bindEvents(signal);
+            // Después de bindEvents: el campo trampa no debe guardarse en el borrador
+            this.spamGuard.init();
+            this.restoreDraft();
+            this.flushQueue();
+            i18n.onChange(() => this.translate(), { signal });
+        }
+    }
+
+    /**
+     * Vincula eventos del formulario
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.contactForm.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+        this.contactForm.addEventListener('focusin', () => {
+            analytics.track('form_start', { form: 'contact' });
+        }, { once: true, signal });
+        
+        const inputs = this.contactForm.querySelectorAll('input, textarea, select');
+        inputs.forEach(input => {
+            input.addEventListener('input', Utils.debounce(() => this.saveDraftField(input), 300), { signal });
+        });
+
+        // Reenviar la cola cuando vuelve la conexión o se regresa a la pestaña
+        window.addEventListener('online', () => this.flushQueue(), { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.flushQueue();
+        }, { signal });
+    }
+
+    /**
+     * Guarda el valor de un campo en el borrador
+     * @param {Element} field - Campo modificado
+     */
+    saveDraftField(field) {
+        if (field.name) {
+            this.draftStore.saveField(field.name, FormManager.getFieldValue(field));
+        }
+    }
+
+    /**
+     * Restaura el borrador guardado en una visita anterior
+     */
+    restoreDraft() {
+        const draft = this.draftStore.load();
+        let restored = false;
+
+        Object.entries(draft).forEach(([fieldName, value]) => {
+            const field = this.contactForm.querySelector(`[name="${fieldName}"]`);
+            if (field && !FormManager.getFieldValue(field)) {
+                FormManager.setFieldValue(field, value);
+                restored = true;
+            }
+        });
+
+        if (restored) {
+            this.showStatus('status.draftRestored', 'info');
+        }
+    }
+
+    /**
+     * Rellena el formulario con datos de un envío
+     * @param {Object} data - Datos por nombre de campo
+     */
+    fillForm(data) {
+        Object.entries(data).forEach(([fieldName, value]) => {
+            const field = this.contactForm.querySelector(`[name="${fieldName}"]`);
+            if (field) {
+                FormManager.setFieldValue(field, value);
+                this.saveDraftField(field);
+            }
+        });
+    }
+
+    /**
+     * Valor de un campo para el borrador: en las casillas, si están marcadas
+     * @param {Element} field - Campo
+     * @returns {string|boolean}
+     */
+    static getFieldValue(field) {
+        return field.type === 'checkbox' ? field.checked : field.value;
+    }
+
+    /**
+     * Escribe en un campo un valor del borrador o de la cola
+     * @param {Element} field - Campo
+     * @param {string|boolean} value - Valor guardado
+     */
+    static setFieldValue(field, value) {
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else {
+            field.value = value;
+        }
+    }
+
+    /**
+     * Reenvía los mensajes que quedaron en cola
+     */
+    async flushQueue() {
+        if (!this.queue.isSupported || this.isFlushing) {
+            return;
+        }
+
+        this.isFlushing = true;
+
+        try {
+            if (!navigator.onLine) {
+                this.updateQueueStatus(await this.queue.count());
+                return;
+            }
+
+            const result = await this.queue.flush(this.resendTransport);
+
+            if (result.sent > 0) {
+                this.retryAttempt = 0;
+                this.showSuccess(i18n.t('notifications.queueSent', { count: result.sent }));
+            }
+
+            if (result.rejected.length > 0) {
+                const [first] = result.rejected;
+                this.fillForm(first.data);
+                if (first.error.type === 'validation') {
+                    this.showServerErrors(first.error.fieldErrors);
+                    this.showError(i18n.t('notifications.queueRejected'));
+                } else {
+                    this.showError(i18n.t('notifications.queueFailed'));
+                }
+            }
+
+            this.updateQueueStatus(result.pending);
+        } catch (error) {
+            console.error('Error al reenviar la cola:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Actualiza el indicador de mensajes en espera y programa el siguiente reintento
+     * @param {number} pending - Mensajes pendientes
+     */
+    updateQueueStatus(pending) {
+        if (pending > 0) {
+            this.showStatus('status.queued', 'queued', { count: pending });
+        } else if (this.statusElement?.dataset.state === 'queued') {
+            this.showStatus('status.allSent', 'sent');
+        }
+        this.scheduleFlush(pending);
+    }
+
+    /**
+     * Programa un reenvío de la cola con espera creciente mientras queden mensajes
+     * @param {number} pending - Mensajes pendientes
+     */
+    scheduleFlush(pending) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        if (pending === 0) {
+            this.retryAttempt = 0;
+            return;
+        }
+
+        if (this.signal?.aborted) return;
+
+        const { baseDelay, maxDelay } = CONFIG.submission.queueRetry;
+        const delay = Math.min(baseDelay * 2 ** this.retryAttempt, maxDelay);
+        this.retryAttempt++;
+        this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+    }
+
+    /**
+     * Muestra un estado persistente debajo del formulario
+     * @param {string} key - Clave de traducción del mensaje
+     * @param {string} state - info | queued | sent
+     * @param {Object} [params] - Parámetros del mensaje
+     */
+    showStatus(key, state, params = {}) {
+        if (this.statusElement) {
+            this.status = { key, params };
+            this.statusElement.textContent = i18n.t(key, params);
+            this.statusElement.dataset.state = state;
+            this.statusElement.hidden = false;
+        }
+    }
+
+    /**
+     * Vuelve a traducir los textos generados por el formulario
+     */
+    translate() {
+        if (this.status && this.statusElement && !this.statusElement.hidden) {
+            this.statusElement.textContent = i18n.t(this.status.key, this.status.params);
+        }
+    }
+
+    /**
+     * Maneja el envío del formulario
+     * @param {Event} e - Evento de submit
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isSubmitting) return;
+        
+        const formData = new FormData(this.contactForm);
+        const data = Object.fromEntries(formData);
+        
+        // Validar formulario
+        if (!(await this.validator.validate())) {
+            this.trackInvalid('contact', this.validator);
+            this.showError(i18n.t('notifications.invalidForm'));
+            return;
+        }
+        
+        this.isSubmitting = true;
+        this.showLoadingState();
+        
+        try {
+            const result = await this.submitForm(data);
+            analytics.track('form_submit', { form: 'contact', transport: result.transport });
+            events.emit('form:submitted', { form: 'contact', transport: result.transport });
+            if (result.transport === 'queue') {
+                this.showSuccess(i18n.t('notifications.queued'));
+                this.updateQueueStatus(await this.queue.count());
+            } else if (result.transport === 'mailto') {
+                this.showSuccess(i18n.t('notifications.mailto'));
+            } else {
+                this.showSuccess(i18n.t('notifications.sent'));
+            }
+            this.resetForm();
+        } catch (error) {
+            console.error('Error al enviar formulario:', error);
+            this.trackFailure('contact', error);
+            events.emit('form:failed', { form: 'contact', error });
+            if (error instanceof SubmissionError && error.type === 'validation') {
+                this.showServerErrors(error.fieldErrors);
+                this.showError(i18n.t('notifications.checkFields'));
+            } else if (error instanceof SubmissionError && error.type === 'blocked') {
+                this.showBlocked(error);
+            } else {
+                this.showError(i18n.t('notifications.sendError'), {
+                    actions: [{
+                        label: i18n.t('notifications.retry'),
+                        onClick: () => this.contactForm.requestSubmit()
+                    }]
+                });
+            }
+        } finally {
+            this.isSubmitting = false;
+            this.hideLoadingState();
+        }
+    }
+
+    /**
+     * Registra qué campos no pasaron la validación (solo sus nombres, nunca los valores)
+     * @param {string} form - Nombre del formulario en la analítica
+     * @param {FormValidator} validator - Validador con los errores actuales
+     */
+    trackInvalid(form, validator) {
+        analytics.track('form_invalid', { form, fields: Array.from(validator.errors.keys()).join(',') });
+    }
+
+    /**
+     * Registra un envío fallido
+     * @param {string} form - Nombre del formulario en la analítica
+     * @param {Error} error - Error del envío
+     */
+    trackFailure(form, error) {
+        analytics.track('form_fail', {
+            form,
+            reason: error instanceof SubmissionError ? (error.reason || error.type) : 'unknown'
         });
     }
 
     /**
-     * Maneja el hover en tarjetas
-     * @param {Element} card - Tarjeta de servicio
+     * Muestra en cada campo los errores de validación devueltos por el servidor
+     * @param {Object} fieldErrors - Errores por campo { nombre: 'mensaje' }
+     */
+    showServerErrors(fieldErrors) {
+        this.validator.showErrors(fieldErrors);
+    }
+
+    /**
+     * Envía el formulario a través del servicio de envío
+     * @param {Object} data - Datos a enviar
+     * @param {SpamGuard} [guard] - Protección antispam del formulario que envía
+     * @returns {Promise<{transport: string, response: Object}>} - Resultado del envío
+     */
+    async submitForm(data, guard = this.spamGuard) {
+        guard.assertAllowed();
+        const result = await this.submissionService.submit(guard.annotate(consent.stampPrivacy(data)));
+        guard.recordSubmission();
+        return result;
+    }
+
+    /**
+     * Explica al usuario por qué se bloqueó su envío
+     * @param {SubmissionError} error - Error de tipo "blocked"
+     */
+    showBlocked(error) {
+        const seconds = Math.max(error.retryAfter, 1);
+        this.showError(i18n.t(`spam.${error.reason}`, { seconds, count: Math.ceil(seconds / 60) }));
+    }
+
+    /**
+     * Muestra estado de carga en el formulario
+     */
+    showLoadingState() {
+        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = `
+                <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                    <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+                    <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                ${Utils.escapeHTML(i18n.t('contact.form.sending'))}
+            `;
+        }
+    }
+
+    /**
+     * Oculta estado de carga en el formulario
+     */
+    hideLoadingState() {
+        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = i18n.t('contact.form.submit');
+        }
+    }
+
+    /**
+     * Muestra mensaje de éxito
+     * @param {string} message - Mensaje a mostrar
+     */
+    showSuccess(message) {
+        notifications.success(message);
+    }
+
+    /**
+     * Muestra mensaje de error
+     * @param {string} message - Mensaje a mostrar
+     * @param {Object} [options] - Opciones de la notificación (p. ej. acciones)
+     */
+    showError(message, options = {}) {
+        notifications.error(message, options);
+    }
+
+    /**
+     * Resetea el formulario
+     */
+    resetForm() {
+        this.contactForm.reset();
+        this.validator.reset();
+        this.draftStore.clear();
+
+        if (this.statusElement?.dataset.state === 'info') {
+            this.statusElement.hidden = true;
+        }
+        
+        // Limpiar errores
+        const errorMessages = this.contactForm.querySelectorAll('.error-message');
+        errorMessages.forEach(msg => msg.remove());
+        
+        const errorFields = this.contactForm.querySelectorAll('.error');
+        errorFields.forEach(field => field.classList.remove('error'));
+    }
+
+    /**
+     * Cancela el reintento programado de la cola
      */
-    handleCardHover(card) {
-        card.classList.add('hovered');
+    destroy() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.retryAttempt = 0;
     }
+}
 
+// ===================================
+// GESTOR DE CITAS (AGENDA)
+// ===================================
+
+/**
+ * Fuente de disponibilidad basada en HTTP. Cualquier objeto con los métodos
+ * getSlots() y book() puede sustituirla (por ejemplo, un mock en memoria).
+ */
+class HttpAvailabilitySource {
     /**
-     * Maneja cuando se deja de hacer hover
-     * @param {Element} card - Tarjeta de servicio
+     * @param {Object} [options] - Opciones de la fuente
      */
-    handleCardLeave(card) {
-        card.classList.remove('hovered');
+    constructor(options = {}) {
+        const settings = { ...CONFIG.booking, ...options };
+        this.availabilityUrl = settings.availabilityUrl;
+        this.bookingUrl = settings.bookingUrl;
+        this.transport = new JsonTransport({ endpoint: settings.bookingUrl, retries: 0 });
     }
 
     /**
-     * Maneja el click en tarjetas
-     * @param {Element} card - Tarjeta de servicio
+     * Obtiene los horarios disponibles de un servicio
+     * @param {string} serviceId - ID del servicio
+     * @param {Object} [options] - Opciones
+     * @param {number} [options.days] - Días a consultar
+     * @returns {Promise<Array<{start: string, end: string}>>}
      */
-    handleCardClick(card) {
-        const cardInner = card.querySelector('.card-inner');
-        if (cardInner) {
-            card.classList.toggle('flipped');
+    async getSlots(serviceId, { days = CONFIG.booking.days } = {}) {
+        const params = new URLSearchParams({ service: serviceId, days: String(days) });
+        const response = await fetch(`${this.availabilityUrl}?${params}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new SubmissionError(`HTTP ${response.status}`, { type: 'server', status: response.status });
         }
+
+        const body = await response.json();
+        return Array.isArray(body) ? body : body.slots || [];
     }
 
     /**
-     * Maneja el inicio del touch
-     * @param {Event} e - Evento touch
-     * @param {Element} card - Tarjeta de servicio
+     * Reserva un horario
+     * @param {Object} booking - Datos de la cita
+     * @returns {Promise<Object>} - Cita confirmada
      */
-    handleTouchStart(e, card) {
-        this.touchStartY = e.touches[0].clientY;
+    book(booking) {
+        return this.transport.send(booking);
     }
+}
 
+class BookingManager {
     /**
-     * Maneja el fin del touch
-     * @param {Event} e - Evento touch
-     * @param {Element} card - Tarjeta de servicio
+     * @param {Object} [availabilitySource] - Fuente de disponibilidad
      */
-    handleTouchEnd(e, card) {
-        this.touchEndY = e.changedTouches[0].clientY;
-        
-        // Si no fue un scroll, flip la tarjeta
-        if (Math.abs(this.touchStartY - this.touchEndY) < 10) {
-            this.handleCardClick(card);
+    constructor(availabilitySource = new HttpAvailabilitySource()) {
+        this.availabilitySource = availabilitySource;
+        this.dialog = document.querySelector(SELECTORS.bookingDialog);
+        this.triggers = document.querySelectorAll(SELECTORS.bookingTriggers);
+        this.slots = [];
+        this.selectedDay = null;
+        this.selectedSlot = null;
+        this.confirmedBooking = null;
+        this.isSubmitting = false;
+
+        // Formato YYYY-MM-DD para agrupar por día, independiente del idioma
+        this.dateKeyFormatter = new Intl.DateTimeFormat('en-CA', {
+            timeZone: CONFIG.booking.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+    }
+
+    /**
+     * Formatea una fecha en la zona horaria del centro y el idioma activo
+     * @param {string|Date} date - Fecha
+     * @param {Object} options - Opciones de Intl.DateTimeFormat
+     * @returns {string}
+     */
+    formatDate(date, options) {
+        return i18n.formatDate(date, { timeZone: CONFIG.booking.timeZone, ...options });
+    }
+
+    /**
+     * Inicializa el booking manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        if (!this.dialog) {
+            return;
         }
+
+        this.form = this.dialog.querySelector('#booking-form');
+        this.serviceSelect = this.dialog.querySelector('#booking-servicio');
+        this.daysContainer = this.dialog.querySelector('#booking-days');
+        this.slotsContainer = this.dialog.querySelector('#booking-slots');
+        this.messageElement = this.dialog.querySelector('#booking-message');
+        this.confirmation = this.dialog.querySelector('#booking-confirmation');
+        this.summary = this.dialog.querySelector('#booking-summary');
+        this.icsButton = this.dialog.querySelector('#booking-ics');
+        this.validator = new FormValidator(this.form);
+
+        this.validator.init({ signal });
+        this.bindEvents(signal);
     }
 
     /**
-     * Maneja eventos de teclado para accesibilidad
-     * @param {Event} e - Evento de teclado
-     * @param {Element} card - Tarjeta de servicio
+     * Copia las opciones del select de servicios del formulario de contacto,
+     * que ServicesManager genera desde el catálogo
      */
-    handleKeyDown(e, card) {
-        if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            this.handleCardClick(card);
+    populateServices() {
+        const source = document.querySelector(SELECTORS.serviceSelect);
+        if (source && this.serviceSelect) {
+            this.serviceSelect.innerHTML = source.innerHTML;
         }
     }
-}
 
-// ===================================
-// GESTOR DE FORMULARIOS
-// ===================================
+    /**
+     * Vincula eventos de la agenda
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.triggers.forEach(trigger => {
+            trigger.addEventListener('click', () => this.open(trigger.getAttribute('data-booking')), { signal });
+        });
 
-class FormManager {
-    constructor() {
-        this.contactForm = document.querySelector(SELECTORS.contactForm);
-        this.isSubmitting = false;
+        this.serviceSelect.addEventListener('change', () => this.loadSlots(), { signal });
+
+        // Los botones de días y horarios se vuelven a crear en cada carga: se delega en sus contenedores
+        this.daysContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-day]');
+            if (button) this.selectDay(button.dataset.day, button);
+        }, { signal });
+        this.slotsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-start]');
+            if (button) this.selectSlot(button.dataset.start, button);
+        }, { signal });
+
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+        this.icsButton.addEventListener('click', () => this.downloadIcs(), { signal });
+        i18n.onChange(() => this.translate(), { signal });
     }
 
     /**
-     * Inicializa el form manager
+     * Vuelve a dibujar los textos generados al cambiar de idioma
      */
-    init() {
-        if (this.contactForm) {
-            this.bindEvents();
-            this.setupValidation();
+    translate() {
+        if (this.confirmedBooking) {
+            this.showConfirmation();
+        } else if (this.slots.length) {
+            this.selectedDay = null;
+            this.selectedSlot = null;
+            this.slotsContainer.innerHTML = '';
+            this.renderDays();
         }
     }
 
     /**
-     * Vincula eventos del formulario
+     * Abre la agenda
+     * @param {string} [serviceId] - Servicio preseleccionado
      */
-    bindEvents() {
-        this.contactForm.addEventListener('submit', (e) => this.handleSubmit(e));
-        
-        // Validación en tiempo real
-        const inputs = this.contactForm.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input));
-            input.addEventListener('input', () => this.clearFieldError(input));
-        });
+    open(serviceId = '') {
+        this.populateServices();
+        this.reset();
+
+        if (serviceId) {
+            this.serviceSelect.value = serviceId;
+        }
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+
+        if (this.serviceSelect.value) {
+            this.loadSlots();
+        }
+        this.serviceSelect.focus();
     }
 
     /**
-     * Configura la validación del formulario
+     * Regresa la agenda a su estado inicial
      */
-    setupValidation() {
-        const emailInput = this.contactForm.querySelector('#email');
-        const phoneInput = this.contactForm.querySelector('#telefono');
-        
-        if (emailInput) {
-            emailInput.setAttribute('pattern', '[a-z0-9._%+-]+@[a-z0-9.-]+\\.[a-z]{2,}$');
+    reset() {
+        this.form.reset();
+        this.validator.reset();
+        this.form.hidden = false;
+        this.confirmation.hidden = true;
+        this.slots = [];
+        this.selectedDay = null;
+        this.selectedSlot = null;
+        this.confirmedBooking = null;
+        this.daysContainer.innerHTML = '';
+        this.slotsContainer.innerHTML = '';
+        this.setMessage('');
+    }
+
+    /**
+     * Carga los horarios del servicio seleccionado
+     */
+    async loadSlots() {
+        const serviceId = this.serviceSelect.value;
+        this.selectedDay = null;
+        this.selectedSlot = null;
+        this.daysContainer.innerHTML = '';
+        this.slotsContainer.innerHTML = '';
+
+        if (!serviceId) {
+            return;
         }
-        
-        if (phoneInput) {
-            phoneInput.setAttribute('pattern', '[0-9\\s\\(\\)\\+\\-]{10,}');
+
+        this.setMessage(i18n.t('booking.messages.loading'));
+
+        try {
+            this.slots = await this.availabilitySource.getSlots(serviceId);
+            this.setMessage(this.slots.length ? '' : i18n.t('booking.messages.empty'));
+            this.renderDays();
+        } catch (error) {
+            console.error('Error al cargar disponibilidad:', error);
+            this.setMessage(i18n.t('booking.messages.loadError'), 'error');
         }
     }
 
     /**
-     * Maneja el envío del formulario
+     * Agrupa los horarios por día en la zona horaria del centro
+     * @returns {Map<string, Array>} - Horarios por fecha (YYYY-MM-DD)
+     */
+    groupSlotsByDay() {
+        const days = new Map();
+        this.slots.forEach(slot => {
+            const key = this.dateKeyFormatter.format(new Date(slot.start));
+            if (!days.has(key)) {
+                days.set(key, []);
+            }
+            days.get(key).push(slot);
+        });
+        return days;
+    }
+
+    /**
+     * Dibuja los días con horarios disponibles
+     */
+    renderDays() {
+        const days = this.groupSlotsByDay();
+        this.daysContainer.innerHTML = '';
+
+        days.forEach((slots, key) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-option';
+            button.textContent = this.formatDate(slots[0].start, { weekday: 'short', day: 'numeric', month: 'short' });
+            button.setAttribute('aria-pressed', 'false');
+            button.dataset.day = key;
+            this.daysContainer.appendChild(button);
+        });
+    }
+
+    /**
+     * Selecciona un día y muestra sus horarios
+     * @param {string} key - Fecha (YYYY-MM-DD)
+     * @param {Element} button - Botón del día
+     */
+    selectDay(key, button) {
+        this.selectedDay = key;
+        this.selectedSlot = null;
+        this.setPressed(this.daysContainer, button);
+        this.renderSlots(this.groupSlotsByDay().get(key) || []);
+    }
+
+    /**
+     * Dibuja los horarios de un día
+     * @param {Array} slots - Horarios del día
+     */
+    renderSlots(slots) {
+        this.slotsContainer.innerHTML = '';
+
+        slots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-option';
+            button.textContent = this.formatDate(slot.start, { hour: 'numeric', minute: '2-digit' });
+            button.setAttribute('aria-pressed', 'false');
+            button.dataset.start = slot.start;
+            this.slotsContainer.appendChild(button);
+        });
+    }
+
+    /**
+     * Selecciona un horario
+     * @param {string} start - Inicio del horario (ISO)
+     * @param {Element} button - Botón del horario
+     */
+    selectSlot(start, button) {
+        this.selectedSlot = this.slots.find(slot => slot.start === start) || null;
+        this.setPressed(this.slotsContainer, button);
+        this.setMessage('');
+    }
+
+    /**
+     * Marca un botón como seleccionado dentro de su grupo
+     * @param {Element} container - Contenedor del grupo
+     * @param {Element} selected - Botón seleccionado
+     */
+    setPressed(container, selected) {
+        container.querySelectorAll('.booking-option').forEach(button => {
+            button.setAttribute('aria-pressed', String(button === selected));
+        });
+    }
+
+    /**
+     * Maneja la confirmación de la cita
      * @param {Event} e - Evento de submit
      */
     async handleSubmit(e) {
         e.preventDefault();
-        
+
         if (this.isSubmitting) return;
-        
-        const formData = new FormData(this.contactForm);
-        const data = Object.fromEntries(formData);
-        
-        // Validar formulario
-        if (!this.validateForm(data)) {
-            this.showError('Por favor, completa todos los campos obligatorios correctamente.');
+
+        if (!(await this.validator.validate())) return;
+
+        if (!this.selectedSlot) {
+            this.setMessage(i18n.t('booking.messages.selectSlot'), 'error');
             return;
         }
-        
+
+        const data = Object.fromEntries(new FormData(this.form));
+        const booking = consent.stampPrivacy({ ...data, start: this.selectedSlot.start, end: this.selectedSlot.end });
+
+        if (this.hasLocalConflict(booking)) {
+            this.setMessage(i18n.t('booking.messages.localConflict'), 'error');
+            return;
+        }
+
         this.isSubmitting = true;
-        this.showLoadingState();
-        
+        this.setMessage(i18n.t('booking.messages.confirming'));
+
         try {
-            // Simular envío (aquí conectarías con tu backend)
-            await this.submitForm(data);
-            this.showSuccess('¡Gracias por tu mensaje! Nos pondremos en contacto contigo pronto.');
-            this.resetForm();
+            const stillAvailable = (await this.availabilitySource.getSlots(booking.servicio))
+                .some(slot => slot.start === booking.start);
+
+            if (!stillAvailable) {
+                throw new SubmissionError('Slot unavailable', { type: 'client', status: 409 });
+            }
+
+            const confirmed = await this.availabilitySource.book(booking);
+            this.confirmedBooking = { ...booking, ...confirmed };
+            this.rememberBooking(this.confirmedBooking);
+            this.showConfirmation();
         } catch (error) {
-            console.error('Error al enviar formulario:', error);
-            this.showError('Hubo un error al enviar el mensaje. Por favor, intenta nuevamente.');
+            console.error('Error al agendar cita:', error);
+
+            if (error instanceof SubmissionError && error.status === 409) {
+                this.setMessage(i18n.t('booking.messages.taken'), 'error');
+                this.loadSlots();
+            } else if (error instanceof SubmissionError && error.type === 'validation') {
+                // Los errores sin campo en el formulario (p. ej. el horario) van al mensaje general
+                const { start, ...fieldErrors } = error.fieldErrors;
+                this.validator.showErrors(fieldErrors);
+                this.setMessage(start || i18n.t('booking.messages.invalid'), 'error');
+            } else {
+                this.setMessage(i18n.t('booking.messages.error'), 'error');
+            }
         } finally {
             this.isSubmitting = false;
-            this.hideLoadingState();
         }
     }
 
     /**
-     * Valida todo el formulario
-     * @param {Object} data - Datos del formulario
-     * @returns {boolean} - Si es válido
+     * Revisa si la cita se empalma con otra ya agendada en este navegador
+     * @param {Object} booking - Cita a revisar
+     * @returns {boolean}
+     */
+    hasLocalConflict(booking) {
+        const start = Date.parse(booking.start);
+        const end = Date.parse(booking.end);
+
+        return this.loadBookings().some(existing =>
+            start < Date.parse(existing.end) && Date.parse(existing.start) < end
+        );
+    }
+
+    /**
+     * Lee las citas agendadas desde este navegador
+     * @returns {Array<Object>}
+     */
+    loadBookings() {
+        try {
+            const bookings = JSON.parse(localStorage.getItem(CONFIG.booking.storageKey)) || [];
+            return bookings.filter(booking => Date.parse(booking.end) > Date.now());
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Guarda una cita confirmada para detectar empalmes futuros
+     * @param {Object} booking - Cita confirmada
+     */
+    rememberBooking(booking) {
+        try {
+            const bookings = this.loadBookings();
+            bookings.push({ id: booking.id, servicio: booking.servicio, start: booking.start, end: booking.end });
+            localStorage.setItem(CONFIG.booking.storageKey, JSON.stringify(bookings));
+        } catch (error) {
+            // Sin almacenamiento solo se pierde la detección local de empalmes
+        }
+    }
+
+    /**
+     * Muestra la confirmación de la cita
+     */
+    showConfirmation() {
+        const booking = this.confirmedBooking;
+        this.form.hidden = true;
+        this.confirmation.hidden = false;
+        this.summary.textContent = i18n.t('booking.summary', {
+            service: this.getServiceLabel(booking.servicio),
+            date: this.formatDate(booking.start, { dateStyle: 'full', timeStyle: 'short' })
+        });
+        this.icsButton.focus();
+    }
+
+    /**
+     * Obtiene el nombre visible de un servicio
+     * @param {string} serviceId - ID del servicio
+     * @returns {string}
+     */
+    getServiceLabel(serviceId) {
+        const option = this.serviceSelect.querySelector(`option[value="${serviceId}"]`);
+        return option ? option.textContent.trim() : serviceId;
+    }
+
+    /**
+     * Muestra un mensaje de estado en la agenda
+     * @param {string} message - Mensaje
+     * @param {string} [type] - info | error
+     */
+    setMessage(message, type = 'info') {
+        this.messageElement.textContent = message;
+        this.messageElement.dataset.type = type;
+    }
+
+    /**
+     * Formatea una fecha como fecha-hora UTC de iCalendar
+     * @param {Date} date - Fecha
+     * @returns {string} - Por ejemplo 20250101T150000Z
+     */
+    static toIcsDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escapa texto para un valor de iCalendar
+     * @param {string} text - Texto
+     * @returns {string}
+     */
+    static escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Genera el contenido .ics de una cita
+     * @param {Object} booking - Cita confirmada
+     * @param {string} serviceLabel - Nombre del servicio
+     * @returns {string}
+     */
+    static buildIcs(booking, serviceLabel) {
+        const escape = BookingManager.escapeIcsText;
+        const uid = booking.id || `${Date.parse(booking.start)}-${booking.servicio}`;
+
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Divergen-T//Agenda//ES',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${uid}@divergen-t`,
+            `DTSTAMP:${BookingManager.toIcsDate(new Date())}`,
+            `DTSTART:${BookingManager.toIcsDate(new Date(booking.start))}`,
+            `DTEND:${BookingManager.toIcsDate(new Date(booking.end))}`,
+            `SUMMARY:${escape(i18n.t('booking.icsSummary', { service: serviceLabel }))}`,
+            `LOCATION:${escape(i18n.t('contact.info.locationValue'))}`,
+            `DESCRIPTION:${escape('Tel. (55) 1234-5678 · contacto@divergen-t.com')}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+    }
+
+    /**
+     * Descarga la cita confirmada como archivo .ics
+     */
+    downloadIcs() {
+        if (!this.confirmedBooking) return;
+
+        const content = BookingManager.buildIcs(this.confirmedBooking, this.getServiceLabel(this.confirmedBooking.servicio));
+        const url = URL.createObjectURL(new Blob([content], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'cita-divergen-t.ics';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Cierra el diálogo
+     */
+    close() {
+        if (!this.dialog.open) return;
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+        }
+    }
+
+    /**
+     * Cierra la agenda; al volver a abrirla empieza desde cero
+     */
+    destroy() {
+        if (this.dialog) this.close();
+    }
+}
+
+// ===================================
+// ASISTENTE DE INGRESO
+// ===================================
+
+/**
+ * Formulario de ingreso por pasos. Los pasos y grupos de preguntas con
+ * `data-branch="evaluation"` solo se activan si la rama está en el campo `intake`
+ * del servicio elegido (data/services.json); los inactivos quedan deshabilitados
+ * y no se validan ni se envían.
+ */
+class IntakeWizard {
+    /**
+     * @param {FormManager} formManager - Se reutiliza su ruta de envío (submitForm)
+     * @param {ServicesManager} servicesManager - Catálogo con las ramas de cada servicio
+     */
+    constructor(formManager, servicesManager) {
+        this.formManager = formManager;
+        this.servicesManager = servicesManager;
+        this.dialog = document.querySelector(SELECTORS.intakeDialog);
+        this.triggers = document.querySelectorAll(SELECTORS.intakeTriggers);
+        this.activeSteps = [];
+        this.currentIndex = 0;
+        this.confirmationKey = null;
+        this.isSubmitting = false;
+    }
+
+    /**
+     * Inicializa el asistente de ingreso
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        if (!this.dialog) {
+            return;
+        }
+
+        this.form = this.dialog.querySelector('#intake-form');
+        this.serviceSelect = this.dialog.querySelector('#intake-servicio');
+        this.steps = Array.from(this.form.querySelectorAll('.intake-step'));
+        this.progress = this.dialog.querySelector('#intake-progress');
+        this.stepCount = this.dialog.querySelector('#intake-step-count');
+        this.review = this.dialog.querySelector('#intake-review');
+        this.backBtn = this.dialog.querySelector('#intake-back');
+        this.nextBtn = this.dialog.querySelector('#intake-next');
+        this.confirmation = this.dialog.querySelector('#intake-confirmation');
+        this.confirmationMessage = this.dialog.querySelector('#intake-confirmation-message');
+        this.validator = new FormValidator(this.form);
+        this.spamGuard = new SpamGuard(this.form);
+
+        this.validator.init({ signal });
+        this.spamGuard.init();
+        this.bindEvents(signal);
+    }
+
+    /**
+     * Vincula eventos
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    bindEvents(signal) {
+        this.triggers.forEach(trigger => {
+            trigger.addEventListener('click', () => this.open(trigger.getAttribute('data-intake')), { signal });
+        });
+
+        this.serviceSelect.addEventListener('change', () => this.applyBranches(), { signal });
+        this.backBtn.addEventListener('click', () => this.goTo(this.currentIndex - 1), { signal });
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+
+        this.review.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-edit-step]');
+            if (button) {
+                this.goTo(Number(button.dataset.editStep));
+            }
+        }, { signal });
+
+        i18n.onChange(() => this.translate(), { signal });
+    }
+
+    /**
+     * Abre el asistente
+     * @param {string} [serviceId] - Servicio a preseleccionar
+     */
+    open(serviceId = '') {
+        this.reset();
+
+        if (serviceId) {
+            this.serviceSelect.value = serviceId;
+            this.applyBranches();
+        }
+
+        analytics.track('form_start', { form: 'intake', service: serviceId });
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+
+        this.serviceSelect.focus();
+    }
+
+    /**
+     * Regresa el asistente al primer paso
      */
-    validateForm(data) {
-        let isValid = true;
-        
-        // Campos obligatorios
-        const requiredFields = ['nombre', 'email', 'mensaje'];
-        requiredFields.forEach(field => {
-            if (!data[field] || data[field].trim() === '') {
-                this.showFieldError(field, 'Este campo es obligatorio');
-                isValid = false;
+    reset() {
+        this.form.reset();
+        this.validator.reset();
+        this.form.hidden = false;
+        this.progress.hidden = false;
+        this.stepCount.hidden = false;
+        this.confirmation.hidden = true;
+        this.confirmationKey = null;
+        this.currentIndex = 0;
+        this.applyBranches();
+    }
+
+    /**
+     * Ramas del asistente que aplican al servicio elegido
+     * @returns {Array<string>}
+     */
+    getBranches() {
+        const serviceId = this.serviceSelect.value;
+        if (!serviceId) return [];
+
+        return this.servicesManager.getService(serviceId)?.intake || CONFIG.intake.defaultBranches;
+    }
+
+    /**
+     * Indica si un paso o grupo aplica al servicio elegido
+     * @param {Element} element - Elemento con data-branch opcional
+     * @returns {boolean}
+     */
+    isActive(element) {
+        const { branch } = element.dataset;
+        return !branch || this.getBranches().includes(branch);
+    }
+
+    /**
+     * Activa los pasos y preguntas del servicio elegido
+     */
+    applyBranches() {
+        const current = this.activeSteps[this.currentIndex];
+
+        this.form.querySelectorAll('[data-branch]').forEach(element => {
+            const active = this.isActive(element);
+            element.disabled = !active;
+            if (element.classList.contains('intake-branch')) {
+                element.hidden = !active;
             }
         });
-        
-        // Validar email
-        if (data.email && !this.isValidEmail(data.email)) {
-            this.showFieldError('email', 'Por favor, ingresa un email válido');
-            isValid = false;
-        }
-        
-        // Validar teléfono si se proporciona
-        if (data.telefono && !this.isValidPhone(data.telefono)) {
-            this.showFieldError('telefono', 'Por favor, ingresa un teléfono válido');
-            isValid = false;
-        }
-        
-        return isValid;
+
+        this.validator.clearDisabled();
+        this.activeSteps = this.steps.filter(step => this.isActive(step));
+
+        // Mantener el paso actual si sigue activo
+        const index = this.activeSteps.indexOf(current);
+        this.showStep(index >= 0 ? index : Math.min(this.currentIndex, this.activeSteps.length - 1));
     }
 
     /**
-     * Valida un campo específico
-     * @param {Element} field - Campo a validar
+     * Muestra un paso sin mover el foco
+     * @param {number} index - Posición entre los pasos activos
      */
-    validateField(field) {
-        const value = field.value.trim();
-        const fieldName = field.name;
-        
-        // Limpiar errores previos
-        this.clearFieldError(field);
-        
-        // Validar según el tipo de campo
-        if (field.hasAttribute('required') && !value) {
-            this.showFieldError(fieldName, 'Este campo es obligatorio');
-            return false;
-        }
-        
-        if (fieldName === 'email' && value && !this.isValidEmail(value)) {
-            this.showFieldError(fieldName, 'Por favor, ingresa un email válido');
-            return false;
-        }
-        
-        if (fieldName === 'telefono' && value && !this.isValidPhone(value)) {
-            this.showFieldError(fieldName, 'Por favor, ingresa un teléfono válido');
-            return false;
+    showStep(index) {
+        this.currentIndex = index;
+        const current = this.activeSteps[index];
+        const isReview = current.dataset.step === 'review';
+
+        this.steps.forEach(step => {
+            step.hidden = step !== current;
+        });
+
+        if (isReview) {
+            this.renderReview();
         }
-        
-        return true;
+
+        this.backBtn.hidden = index === 0;
+        this.nextBtn.textContent = i18n.t(isReview ? 'intake.submit' : 'intake.next');
+        this.renderProgress();
     }
 
     /**
-     * Muestra error en un campo específico
-     * @param {string} fieldName - Nombre del campo
-     * @param {string} message - Mensaje de error
+     * Va a un paso y enfoca su primer campo
+     * @param {number} index - Posición entre los pasos activos
      */
-    showFieldError(fieldName, message) {
-        const field = this.contactForm.querySelector(`[name="${fieldName}"]`);
-        if (field) {
-            field.classList.add('error');
-            
-            // Remover mensaje de error previo
-            const existingError = field.parentNode.querySelector('.error-message');
-            if (existingError) {
-                existingError.remove();
-            }
-            
-            // Agregar nuevo mensaje de error
-            const errorElement = document.createElement('span');
-            errorElement.className = 'error-message';
-            errorElement.textContent = message;
-            errorElement.style.color = '#CC0000';
-            errorElement.style.fontSize = '0.875rem';
-            errorElement.style.marginTop = '0.25rem';
-            errorElement.style.display = 'block';
-            
-            field.parentNode.appendChild(errorElement);
+    goTo(index) {
+        if (index < 0 || index >= this.activeSteps.length) return;
+
+        this.showStep(index);
+
+        const current = this.activeSteps[index];
+        analytics.track('form_step', { form: 'intake', step: current.dataset.step });
+        const target = current.querySelector('input:enabled, select:enabled, textarea:enabled')
+            || current.querySelector('.intake-step-title');
+        if (target && !target.matches('input, select, textarea')) {
+            target.tabIndex = -1;
         }
+        target?.focus();
     }
 
     /**
-     * Limpia el error de un campo
-     * @param {Element} field - Campo a limpiar
+     * Título visible de un paso
+     * @param {Element} step - Paso
+     * @returns {string}
      */
-    clearFieldError(field) {
-        field.classList.remove('error');
-        const errorMessage = field.parentNode.querySelector('.error-message');
-        if (errorMessage) {
-            errorMessage.remove();
+    getStepTitle(step) {
+        return step.querySelector('.intake-step-title').textContent.trim();
+    }
+
+    /**
+     * Dibuja la lista de pasos y el texto "Paso X de Y"
+     */
+    renderProgress() {
+        this.progress.innerHTML = this.activeSteps.map((step, index) => `
+            <li class="intake-progress-step${index < this.currentIndex ? ' done' : ''}"${index === this.currentIndex ? ' aria-current="step"' : ''}>
+                ${Utils.escapeHTML(this.getStepTitle(step))}
+            </li>
+        `).join('');
+
+        this.stepCount.textContent = i18n.t('intake.progress', {
+            current: this.currentIndex + 1,
+            total: this.activeSteps.length,
+            title: this.getStepTitle(this.activeSteps[this.currentIndex])
+        });
+    }
+
+    /**
+     * Texto legible del valor de un campo (etiquetas de opciones, no sus valores)
+     * @param {Element} field - Campo
+     * @returns {string}
+     */
+    getDisplayValue(field) {
+        if (field.type === 'radio' || field.type === 'checkbox') {
+            return this.validator.getGroup(field)
+                .filter(member => member.checked)
+                .map(member => member.closest('label').textContent.trim())
+                .join(', ');
         }
+
+        if (field.tagName === 'SELECT') {
+            return field.value ? field.selectedOptions[0].textContent.trim() : '';
+        }
+
+        return field.value.trim();
     }
 
     /**
-     * Valida formato de email
-     * @param {string} email - Email a validar
-     * @returns {boolean} - Si es válido
+     * Respuestas de los pasos activos, agrupadas por paso
+     * @returns {Array<{title: string, items: Array<{label: string, value: string}>}>}
      */
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    getAnswers() {
+        return this.activeSteps
+            .filter(step => step.dataset.step !== 'review')
+            .map(step => {
+                const seen = new Set();
+                const items = Array.from(step.querySelectorAll('input:not([data-review-skip]), select, textarea'))
+                    .filter(field => field.name && !field.matches(':disabled') && !seen.has(field.name) && seen.add(field.name))
+                    .map(field => ({ label: this.validator.getLabel(field), value: this.getDisplayValue(field) }))
+                    .filter(item => item.value);
+
+                return { title: this.getStepTitle(step), items };
+            });
     }
 
     /**
-     * Valida formato de teléfono
-     * @param {string} phone - Teléfono a validar
-     * @returns {boolean} - Si es válido
+     * Dibuja la pantalla de revisión
      */
-    isValidPhone(phone) {
-        const phoneRegex = /^[\+]?[\s\-\(\)]?[\d\s\-\(\)]{10,}$/;
-        return phoneRegex.test(phone);
+    renderReview() {
+        this.review.innerHTML = this.getAnswers().map(({ title, items }, index) => `
+            <div class="intake-review-section">
+                <div class="intake-review-header">
+                    <h4>${Utils.escapeHTML(title)}</h4>
+                    <button type="button" class="btn-link" data-edit-step="${index}">${Utils.escapeHTML(i18n.t('intake.review.edit'))}</button>
+                </div>
+                ${items.length ? `
+                    <dl>
+                        ${items.map(item => `
+                            <dt>${Utils.escapeHTML(item.label)}</dt>
+                            <dd>${Utils.escapeHTML(item.value)}</dd>
+                        `).join('')}
+                    </dl>
+                ` : `<p class="intake-hint">${Utils.escapeHTML(i18n.t('intake.review.empty'))}</p>`}
+            </div>
+        `).join('');
     }
 
     /**
-     * Simula el envío del formulario
-     * @param {Object} data - Datos a enviar
-     * @returns {Promise} - Promesa del envío
+     * Datos a enviar: los campos activos más un mensaje legible con todas las respuestas,
+     * para que el servidor y el correo los reciban como cualquier mensaje de contacto
+     * @returns {Object}
      */
-    async submitForm(data) {
-        // Simular delay de red
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Aquí harías la llamada real a tu API
-                console.log('Datos del formulario:', data);
-                resolve();
-            }, 1500);
+    buildPayload() {
+        const formData = new FormData(this.form);
+        const data = { tipo: 'ingreso' };
+
+        new Set(formData.keys()).forEach(name => {
+            data[name] = formData.getAll(name).join(', ');
         });
+
+        data.mensaje = this.getAnswers()
+            .filter(({ items }) => items.length)
+            .map(({ title, items }) => [title, ...items.map(item => `- ${item.label}: ${item.value}`)].join('\n'))
+            .join('\n\n');
+
+        return data;
     }
 
     /**
-     * Muestra estado de carga en el formulario
+     * Avanza al siguiente paso o envía desde la revisión
+     * @param {Event} e - Evento de submit
      */
-    showLoadingState() {
-        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
-        if (submitBtn) {
-            submitBtn.disabled = true;
-            submitBtn.innerHTML = `
-                <svg class="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
-                    <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Enviando...
-            `;
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        if (this.isSubmitting) return;
+
+        const current = this.activeSteps[this.currentIndex];
+        if (current.dataset.step === 'review') {
+            await this.submit();
+        } else if (await this.validator.validate(current)) {
+            this.goTo(this.currentIndex + 1);
+        } else {
+            this.formManager.trackInvalid('intake', this.validator);
         }
     }
 
     /**
-     * Oculta estado de carga en el formulario
+     * Lleva al paso del primer campo con error
      */
-    hideLoadingState() {
-        const submitBtn = this.contactForm.querySelector('button[type="submit"]');
-        if (submitBtn) {
-            submitBtn.disabled = false;
-            submitBtn.innerHTML = 'Enviar Mensaje';
+    showFirstError() {
+        const [fieldName] = this.validator.errors.keys();
+        const field = fieldName && this.validator.getField(fieldName);
+        const index = field ? this.activeSteps.findIndex(step => step.contains(field)) : -1;
+
+        if (index >= 0) {
+            this.showStep(index);
+            this.validator.renderSummary();
+            this.validator.summary.focus();
         }
     }
 
     /**
-     * Muestra mensaje de éxito
-     * @param {string} message - Mensaje a mostrar
+     * Envía el formulario de ingreso por la misma ruta que el formulario de contacto
      */
-    showSuccess(message) {
-        this.showNotification(message, 'success');
+    async submit() {
+        if (!(await this.validator.validate())) {
+            this.formManager.trackInvalid('intake', this.validator);
+            this.showFirstError();
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.nextBtn.disabled = true;
+        this.nextBtn.textContent = i18n.t('contact.form.sending');
+
+        try {
+            const result = await this.formManager.submitForm(this.buildPayload(), this.spamGuard);
+            analytics.track('form_submit', { form: 'intake', service: this.serviceSelect.value, transport: result.transport });
+            events.emit('form:submitted', { form: 'intake', transport: result.transport });
+
+            if (result.transport === 'queue') {
+                this.formManager.updateQueueStatus(await this.formManager.queue.count());
+            }
+            this.showConfirmation({
+                queue: 'notifications.queued',
+                mailto: 'notifications.mailto'
+            }[result.transport] || 'intake.confirmation.message');
+        } catch (error) {
+            console.error('Error al enviar el formulario de ingreso:', error);
+            this.formManager.trackFailure('intake', error);
+            events.emit('form:failed', { form: 'intake', error });
+
+            if (error instanceof SubmissionError && error.type === 'validation' && this.validator.showErrors(error.fieldErrors)) {
+                this.showFirstError();
+                notifications.error(i18n.t('notifications.checkFields'));
+            } else if (error instanceof SubmissionError && error.type === 'blocked') {
+                this.formManager.showBlocked(error);
+            } else {
+                notifications.error(i18n.t('notifications.sendError'), {
+                    actions: [{
+                        label: i18n.t('notifications.retry'),
+                        onClick: () => this.form.requestSubmit()
+                    }]
+                });
+            }
+        } finally {
+            this.isSubmitting = false;
+            this.nextBtn.disabled = false;
+            if (!this.form.hidden) {
+                this.showStep(this.currentIndex);
+            }
+        }
     }
 
     /**
-     * Muestra mensaje de error
-     * @param {string} message - Mensaje a mostrar
+     * Muestra la confirmación del envío
+     * @param {string} key - Clave de traducción del mensaje
      */
-    showError(message) {
-        this.showNotification(message, 'error');
+    showConfirmation(key) {
+        this.confirmationKey = key;
+        this.form.hidden = true;
+        this.progress.hidden = true;
+        this.stepCount.hidden = true;
+        this.confirmation.hidden = false;
+        this.confirmationMessage.textContent = i18n.t(key);
+        this.confirmation.querySelector('button').focus();
     }
 
     /**
-     * Muestra notificación
-     * @param {string} message - Mensaje
-     * @param {string} type - Tipo (success/error)
-     */
-    showNotification(message, type) {
-        // Remover notificación existente
-        const existingNotification = document.querySelector('.notification');
-        if (existingNotification) {
-            existingNotification.remove();
-        }
-
-        // Crear nueva notificación
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 1rem 1.5rem;
-            border-radius: 8px;
-            color: white;
-            font-weight: 500;
-            z-index: 10000;
-            max-width: 400px;
-            box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
-            transform: translateX(100%);
-            transition: transform 0.3s ease;
-            background: ${type === 'success' ? '#99CC33' : '#CC0000'};
-        `;
-        
-        notification.textContent = message;
-        document.body.appendChild(notification);
+     * Vuelve a traducir los textos generados por el asistente
+     */
+    translate() {
+        if (this.confirmationKey) {
+            this.confirmationMessage.textContent = i18n.t(this.confirmationKey);
+        } else if (this.activeSteps.length) {
+            this.showStep(this.currentIndex);
+        }
+    }
 
-        // Animar entrada
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 10);
+    /**
+     * Cierra el diálogo
+     */
+    close() {
+        if (!this.dialog.open) return;
 
-        // Auto-remover después de 5 segundos
-        setTimeout(() => {
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.remove();
-                }
-            }, 300);
-        }, 5000);
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+        }
     }
 
     /**
-     * Resetea el formulario
+     * Cierra el asistente; al volver a abrirlo empieza desde el primer paso
      */
-    resetForm() {
-        this.contactForm.reset();
-        
-        // Limpiar errores
-        const errorMessages = this.contactForm.querySelectorAll('.error-message');
-        errorMessages.forEach(msg => msg.remove());
-        
-        const errorFields = this.contactForm.querySelectorAll('.error');
-        errorFields.forEach(field => field.classList.remove('error'));
+    destroy() {
+        if (this.dialog) this.close();
     }
 }
 
@@ -819,19 +7362,22 @@ class ScrollManager {
 
     /**
      * Inicializa el scroll manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
      */
-    init() {
-        this.bindEvents();
+    init({ signal } = {}) {
+        this.bindEvents(signal);
     }
 
     /**
      * Vincula eventos de scroll
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
      */
-    bindEvents() {
-        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 16));
+    bindEvents(signal) {
+        window.addEventListener('scroll', Utils.throttle(() => this.handleScroll(), 16), { signal });
         
         if (this.backToTopBtn) {
-            this.backToTopBtn.addEventListener('click', () => this.scrollToTop());
+            this.backToTopBtn.addEventListener('click', () => this.scrollToTop(), { signal });
         }
     }
 
@@ -857,9 +7403,149 @@ class ScrollManager {
     scrollToTop() {
         window.scrollTo({
             top: 0,
-            behavior: 'smooth'
+            behavior: Utils.getScrollBehavior()
+        });
+    }
+}
+
+// ===================================
+// APLICACIÓN INSTALABLE (PWA)
+// ===================================
+
+class PwaManager {
+    constructor() {
+        this.installPrompt = null;
+        // Solo se recarga cuando el usuario aceptó la nueva versión
+        this.updateRequested = false;
+    }
+
+    /**
+     * Inicializa el PWA manager
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Retira los eventos al abortarse
+     */
+    init({ signal } = {}) {
+        window.addEventListener('beforeinstallprompt', (e) => this.handleInstallPrompt(e), { signal });
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+        }, { signal });
+
+        window.addEventListener('offline', () => notifications.warning(i18n.t('pwa.offline')), { signal });
+
+        this.registerServiceWorker(signal);
+    }
+
+    /**
+     * Registra el service worker y avisa cuando hay una versión nueva esperando
+     * @param {AbortSignal} [signal] - Retira los eventos al abortarse
+     */
+    async registerServiceWorker(signal) {
+        if (!('serviceWorker' in navigator) || !CONFIG.pwa.serviceWorker) return;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                this.updateRequested = false;
+                window.location.reload();
+            }
+        }, { signal });
+
+        try {
+            const registration = await navigator.serviceWorker.register(CONFIG.pwa.serviceWorker);
+
+            // Una versión que quedó esperando desde la visita anterior
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Sin controller es la primera instalación, no una actualización
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    }
+                }, { signal });
+            }, { signal });
+        } catch (error) {
+            console.error('Error al registrar el service worker:', error);
+        }
+    }
+
+    /**
+     * Ofrece cargar la nueva versión del sitio
+     * @param {ServiceWorker} worker - Service worker en espera
+     */
+    showUpdateBanner(worker) {
+        notifications.info(i18n.t('pwa.updateAvailable'), {
+            duration: 0,
+            actions: [{
+                label: i18n.t('pwa.reload'),
+                onClick: () => {
+                    this.updateRequested = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }]
         });
     }
+
+    /**
+     * Sustituye el aviso de instalación del navegador por el propio
+     * @param {Event} e - Evento beforeinstallprompt
+     */
+    handleInstallPrompt(e) {
+        e.preventDefault();
+        this.installPrompt = e;
+
+        if (this.isInstallSnoozed()) return;
+
+        notifications.info(i18n.t('pwa.installPrompt'), {
+            duration: 0,
+            actions: [
+                { label: i18n.t('pwa.install'), onClick: () => this.install() },
+                { label: i18n.t('pwa.notNow'), onClick: () => this.snoozeInstall() }
+            ]
+        });
+    }
+
+    /**
+     * Muestra el diálogo de instalación del navegador
+     */
+    async install() {
+        if (!this.installPrompt) return;
+
+        this.installPrompt.prompt();
+        const { outcome } = await this.installPrompt.userChoice;
+        this.installPrompt = null;
+
+        if (outcome === 'dismissed') {
+            this.snoozeInstall();
+        }
+    }
+
+    /**
+     * Indica si el usuario rechazó la instalación hace poco
+     * @returns {boolean}
+     */
+    isInstallSnoozed() {
+        try {
+            const snoozedAt = Number(localStorage.getItem(CONFIG.pwa.installSnooze.storageKey));
+            return Date.now() - snoozedAt < CONFIG.pwa.installSnooze.days * 24 * 60 * 60 * 1000;
+        } catch (error) {
+            // Sin almacenamiento no hay forma de recordar el rechazo
+            return false;
+        }
+    }
+
+    /**
+     * Deja de ofrecer la instalación durante un tiempo
+     */
+    snoozeInstall() {
+        try {
+            localStorage.setItem(CONFIG.pwa.installSnooze.storageKey, String(Date.now()));
+        } catch (error) {
+            // Se volverá a ofrecer en la siguiente visita
+        }
+    }
 }
 
 // ===================================
@@ -868,12 +7554,109 @@ class ScrollManager {
 
 class App {
     constructor() {
+        // Registro de managers en orden de inicio: nombre → { manager, blocking, controller }
+        this.managers = new Map();
+        // idle | starting | started
+        this.state = 'idle';
+        // Bus compartido; el código externo se suscribe con app.events.on()
+        this.events = events;
+
+        this.accessibilityManager = new AccessibilityManager();
+        this.themeManager = new ThemeManager();
         this.loadingManager = new LoadingManager();
-        this.navigationManager = new NavigationManager();
+        this.navigationManager = new NavigationManager(this.loadingManager);
         this.animationManager = new AnimationManager();
+        this.statsManager = new StatsManager(this.animationManager, this.loadingManager);
         this.servicesManager = new ServicesManager();
         this.formManager = new FormManager();
+        this.bookingManager = new BookingManager();
+        this.intakeWizard = new IntakeWizard(this.formManager, this.servicesManager);
+        this.serviceDetailManager = new ServiceDetailManager(
+            this.servicesManager,
+            this.formManager,
+            this.navigationManager,
+            this.loadingManager
+        );
+        this.structuredDataManager = new StructuredDataManager(this.servicesManager);
+        this.testimonialsManager = new TestimonialsManager(this.servicesManager);
+        this.faqManager = new FaqManager(this.servicesManager);
+        this.searchManager = new SearchManager(this.servicesManager, this.faqManager);
+        this.readAloudManager = new ReadAloudManager(this.servicesManager);
         this.scrollManager = new ScrollManager();
+        this.pwaManager = new PwaManager();
+
+        // Primero, para que el resto respete las preferencias de movimiento
+        this.register('notifications', notifications);
+        this.register('accessibility', this.accessibilityManager);
+        this.register('theme', this.themeManager);
+        this.register('loading', this.loadingManager);
+        // Los textos del resto de los managers dependen del idioma
+        this.register('i18n', i18n, { blocking: true });
+        this.register('consent', consent);
+        this.register('analytics', analytics);
+        this.register('navigation', this.navigationManager);
+        this.register('animation', this.animationManager);
+        this.register('stats', this.statsManager);
+        // El formulario y la agenda dependen de las opciones de servicio
+        this.register('services', this.servicesManager, { blocking: true });
+        this.register('form', this.formManager);
+        this.register('booking', this.bookingManager);
+        this.register('intake', this.intakeWizard);
+        this.register('serviceDetail', this.serviceDetailManager);
+        this.register('structuredData', this.structuredDataManager);
+        this.register('testimonials', this.testimonialsManager);
+        this.register('faq', this.faqManager);
+        // Después del contenido que indexa; se actualiza solo cuando este cambia
+        this.register('search', this.searchManager);
+        this.register('readAloud', this.readAloudManager);
+        this.register('scroll', this.scrollManager);
+        this.register('pwa', this.pwaManager);
+    }
+
+    /**
+     * Registra un manager. Contrato: init({ signal }) agrega sus eventos con esa
+     * señal (se abortan al destruir la app) y destroy() opcional libera lo demás
+     * (observers, temporizadores). Si la app ya inició, se inicia de inmediato;
+     * durante el arranque espera su turno.
+     * @param {string} name - Nombre único
+     * @param {Object} manager - Objeto con init() y, opcionalmente, destroy()
+     * @param {Object} [options]
+     * @param {boolean} [options.blocking] - Los managers siguientes esperan a que termine su init
+     * @returns {Object} - El mismo manager
+     */
+    register(name, manager, { blocking = false } = {}) {
+        if (this.managers.has(name)) {
+            throw new Error(`Ya hay un manager registrado como "${name}"`);
+        }
+        if (typeof manager?.init !== 'function') {
+            throw new TypeError(`El manager "${name}" debe tener un método init()`);
+        }
+
+        this.managers.set(name, { manager, blocking, controller: null });
+
+        if (this.state === 'started') {
+            this.initManager(name);
+        }
+
+        return manager;
+    }
+
+    /**
+     * Destruye un manager y lo quita del registro
+     * @param {string} name - Nombre con el que se registró
+     */
+    unregister(name) {
+        this.destroyManager(name);
+        this.managers.delete(name);
+    }
+
+    /**
+     * Busca un manager registrado
+     * @param {string} name - Nombre con el que se registró
+     * @returns {Object|undefined}
+     */
+    get(name) {
+        return this.managers.get(name)?.manager;
     }
 
     /**
@@ -882,37 +7665,78 @@ class App {
     init() {
         // Verificar que el DOM esté cargado
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.start());
+            document.addEventListener('DOMContentLoaded', () => this.start(), { once: true });
         } else {
             this.start();
         }
     }
 
     /**
-     * Inicia todos los managers
+     * Inicia todos los managers en orden de registro. Un error en uno no detiene a los demás.
+     */
+    async start() {
+        if (this.state !== 'idle') return;
+        this.state = 'starting';
+
+        // El Map también recorre los managers registrados durante el arranque
+        for (const [name, entry] of this.managers) {
+            const ready = this.initManager(name);
+            if (entry.blocking) await ready;
+            // destroy() durante el arranque
+            if (this.state !== 'starting') return;
+        }
+
+        this.state = 'started';
+        console.log('🚀 Divergen-T App initialized successfully');
+    }
+
+    /**
+     * Inicia un manager con su propio AbortController
+     * @param {string} name - Nombre del manager
+     * @returns {Promise<boolean>} - false si su init falló
      */
-    start() {
+    async initManager(name) {
+        const entry = this.managers.get(name);
+        if (!entry || entry.controller) return true;
+
+        entry.controller = new AbortController();
+
         try {
-            this.loadingManager.init();
-            this.navigationManager.init();
-            this.animationManager.init();
-            this.servicesManager.init();
-            this.formManager.init();
-            this.scrollManager.init();
-            
-            console.log('🚀 Divergen-T App initialized successfully');
+            await entry.manager.init({ signal: entry.controller.signal });
+            return true;
         } catch (error) {
-            console.error('❌ Error initializing app:', error);
+            console.error(`❌ Error initializing ${name}:`, error);
+            // Lo que alcanzó a registrar no debe quedar a medias
+            this.destroyManager(name);
+            return false;
         }
     }
 
     /**
-     * Destruye la aplicación y limpia eventos
+     * Retira los eventos de un manager y llama a su destroy()
+     * @param {string} name - Nombre del manager
      */
-    destroy() {
-        if (this.animationManager) {
-            this.animationManager.destroy();
+    destroyManager(name) {
+        const entry = this.managers.get(name);
+        if (!entry?.controller) return;
+
+        try {
+            entry.manager.destroy?.();
+        } catch (error) {
+            console.error(`❌ Error destroying ${name}:`, error);
         }
+
+        entry.controller.abort();
+        entry.controller = null;
+    }
+
+    /**
+     * Destruye la aplicación y limpia eventos. Se puede volver a iniciar con start().
+     */
+    destroy() {
+        // En orden inverso: cada manager se limpia antes que aquellos de los que depende
+        [...this.managers.keys()].reverse().forEach(name => this.destroyManager(name));
+        this.state = 'idle';
         
         console.log('🔄 Divergen-T App destroyed');
     }
@@ -922,7 +7746,7 @@ class App {
 // ESTILOS DINÁMICOS PARA ANIMACIONES
 // ===================================
 
-// Agregar estilos CSS para animaciones de loading y notificaciones
+// Agregar estilos CSS para animaciones de loading
 const dynamicStyles = `
     @keyframes spin {
         from { transform: rotate(0deg); }
@@ -933,21 +7757,6 @@ const dynamicStyles = `
         animation: spin 1s linear infinite;
     }
     
-    .notification {
-        animation: slideInFromRight 0.3s ease-out;
-    }
-    
-    @keyframes slideInFromRight {
-        from {
-            transform: translateX(100%);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(0);
-            opacity: 1;
-        }
-    }
-    
     .service-card.flipped .card-inner {
         transform: rotateY(180deg);
     }
@@ -955,8 +7764,8 @@ const dynamicStyles = `
     .form-group input.error,
     .form-group textarea.error,
     .form-group select.error {
-        border-color: #CC0000;
-        box-shadow: 0 0 0 3px rgba(204, 0, 0, 0.1);
+        border-color: var(--error);
+        box-shadow: 0 0 0 3px var(--error-ring);
     }
 `;
 
@@ -975,13 +7784,21 @@ window.divergentApp = new App();
 // Inicializar la aplicación
 window.divergentApp.init();
 
-// Limpieza en unload
-window.addEventListener('beforeunload', () => {
+// Limpieza al salir de la página. beforeunload no sirve: también ocurre cuando la página
+// sigue viva (enlaces mailto:, salida cancelada) y la dejaría sin eventos.
+window.addEventListener('pagehide', () => {
     if (window.divergentApp) {
         window.divergentApp.destroy();
     }
 });
 
+// Al volver desde la caché de ida y vuelta (bfcache) la página no se vuelve a cargar
+window.addEventListener('pageshow', (event) => {
+    if (event.persisted && window.divergentApp) {
+        window.divergentApp.start();
+    }
+});
+
 // Manejo de errores globales
 window.addEventListener('error', (event) => {
     console.error('❌ Global error:', event.error);
@@ -1003,9 +7820,41 @@ if (typeof module !== 'undefined' && module.exports) {
         LoadingManager,
         NavigationManager,
         AnimationManager,
+        StatsManager,
         ServicesManager,
+        ServiceDetailManager,
+        StructuredDataManager,
+        TestimonialsManager,
+        FaqManager,
+        SearchManager,
         FormManager,
+        FormValidator,
         ScrollManager,
-        Utils
+        PwaManager,
+        SubmissionError,
+        SpamGuard,
+        JsonTransport,
+        MailtoTransport,
+        SubmissionService,
+        DraftStore,
+        SubmissionQueue,
+        QueueTransport,
+        HttpAvailabilitySource,
+        BookingManager,
+        IntakeWizard,
+        ReadAloudManager,
+        Utils,
+        AccessibilityManager,
+        ThemeManager,
+        I18nManager,
+        i18n,
+        NotificationCenter,
+        notifications,
+        ConsentManager,
+        consent,
+        AnalyticsManager,
+        analytics,
+        EventBus,
+        events
     };
 }
\ No newline at end of file
@@ -0,0 +1,824 @@
+/**
+ * DIVERGEN-T SERVIDOR LOCAL DE REFERENCIA
+ * Sirve el sitio estático y los endpoints de la API para probar el flujo completo
+ * sin servicios externos. Solo usa módulos nativos de Node.
+ *
+ * Uso: node server/server.js
+ * Variables de entorno: PORT (3000), DATA_DIR (server/data),
+ * SPAM_SECRET (clave de los retos; aleatoria por proceso si no se define),
+ * REQUIRE_PROOF ("false" para aceptar envíos sin prueba de trabajo)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ===================================
+// CONFIGURACIÓN
+// ===================================
+
+const CONFIG = {
+    port: Number(process.env.PORT) || 3000,
+    rootDir: path.resolve(__dirname, '..'),
+    dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    maxBodySize: 100 * 1024,
+    servicesFile: path.resolve(__dirname, '..', 'data', 'services.json'),
+    // Solo se sirven estos archivos de la raíz y el contenido de estas carpetas
+    publicFiles: ['index.html', 'offline.html', 'script.js', 'styles.css', 'sw.js', 'manifest.webmanifest'],
+    publicDirs: ['data', 'icons', 'locales'],
+    spam: {
+        honeypotField: 'website',
+        minFillTime: 3000,
+        requireProof: process.env.REQUIRE_PROOF !== 'false',
+        // 12 bits ≈ 4096 hashes en promedio: imperceptible para una persona
+        difficulty: 12,
+        challengeTtl: 10 * 60 * 1000,
+        rateLimit: {
+            max: 5,
+            windowMs: 10 * 60 * 1000
+        }
+    },
+    analytics: {
+        maxEvents: 50,
+        maxValueLength: 64,
+        // Eventos conocidos → propiedades que se guardan. Lo demás se descarta:
+        // así un campo con datos personales (email, nombre…) nunca llega al archivo
+        events: {
+            section_view: ['section'],
+            cta_click: ['target'],
+            service_flip: ['service', 'flipped'],
+            service_detail: ['service'],
+            service_request: ['service'],
+            faq_open: ['faq'],
+            search_select: ['type'],
+            form_start: ['form', 'service'],
+            form_step: ['form', 'step'],
+            form_invalid: ['form', 'fields'],
+            form_fail: ['form', 'reason'],
+            form_submit: ['form', 'service', 'transport']
+        }
+    },
+    booking: {
+        // America/Mexico_City no tiene horario de verano desde 2022
+        utcOffsetHours: -6,
+        slotMinutes: 60,
+        defaultDays: 14,
+        maxDays: 31,
+        // Horario de atención por día de la semana (0 = domingo): [inicio, fin)
+        hours: {
+            1: [8, 18],
+            2: [8, 18],
+            3: [8, 18],
+            4: [8, 18],
+            5: [8, 18],
+            6: [9, 14]
+        }
+    }
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json',
+    '.woff2': 'font/woff2'
+};
+
+// ===================================
+// ALMACENAMIENTO
+// ===================================
+
+class FileStore {
+    /**
+     * @param {string} fileName - Nombre del archivo JSONL dentro de dataDir
+     */
+    constructor(fileName) {
+        this.filePath = path.join(CONFIG.dataDir, fileName);
+    }
+
+    /**
+     * Agrega un registro al final del archivo
+     * @param {Object} record - Registro a guardar
+     */
+    append(record) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    /**
+     * Lee todos los registros
+     * @returns {Array<Object>}
+     */
+    readAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line));
+    }
+}
+
+// ===================================
+// VALIDACIÓN
+// ===================================
+
+const MESSAGES = {
+    es: {
+        required: 'Este campo es obligatorio',
+        email: 'Por favor, ingresa un email válido',
+        phone: 'Por favor, ingresa un teléfono válido',
+        service: 'Selecciona un servicio',
+        slot: 'Selecciona un horario',
+        privacy: 'Debes aceptar el Aviso de Privacidad'
+    },
+    en: {
+        required: 'This field is required',
+        email: 'Please enter a valid email',
+        phone: 'Please enter a valid phone number',
+        service: 'Select a service',
+        slot: 'Select a time',
+        privacy: 'You must accept the Privacy Notice'
+    }
+};
+
+/**
+ * Elige el idioma de los mensajes según el encabezado Accept-Language
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {Object} - Mensajes en el idioma elegido
+ */
+function getMessages(req) {
+    const language = String(req.headers['accept-language'] || 'es').toLowerCase().split(/[-,;]/)[0];
+    return MESSAGES[language] || MESSAGES.es;
+}
+
+/**
+ * Valida una solicitud de contacto
+ * @param {Object} data - Datos recibidos
+ * @param {Object} [messages] - Mensajes de error
+ * @returns {Object} - Errores por campo (vacío si es válido)
+ */
+function validateContact(data, messages = MESSAGES.es) {
+    const errors = {};
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    if (!text(data.nombre)) {
+        errors.nombre = messages.required;
+    }
+
+    if (!text(data.email)) {
+        errors.email = messages.required;
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(data.email))) {
+        errors.email = messages.email;
+    }
+
+    if (text(data.telefono) && !/^[\+]?[\s\-\(\)]?[\d\s\-\(\)]{10,}$/.test(text(data.telefono))) {
+        errors.telefono = messages.phone;
+    }
+
+    if (!text(data.mensaje)) {
+        errors.mensaje = messages.required;
+    }
+
+    // El consentimiento se guarda con la versión del aviso que se aceptó
+    if (data.privacyConsent !== 'accepted' || !text(data.privacyVersion)) {
+        errors.privacyConsent = messages.privacy;
+    }
+
+    return errors;
+}
+
+/**
+ * Valida una solicitud de cita
+ * @param {Object} data - Datos recibidos
+ * @param {Object} [messages] - Mensajes de error
+ * @param {Array<string>} [serviceIds] - IDs del catálogo; si se omite no se revisa
+ * @returns {Object} - Errores por campo (vacío si es válido)
+ */
+function validateBooking(data, messages = MESSAGES.es, serviceIds = null) {
+    const errors = {};
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    if (!text(data.servicio) || (serviceIds && !serviceIds.includes(text(data.servicio)))) {
+        errors.servicio = messages.service;
+    }
+
+    if (!text(data.start) || Number.isNaN(Date.parse(data.start))) {
+        errors.start = messages.slot;
+    }
+
+    if (!text(data.nombre)) {
+        errors.nombre = messages.required;
+    }
+
+    if (!text(data.email)) {
+        errors.email = messages.required;
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text(data.email))) {
+        errors.email = messages.email;
+    }
+
+    if (data.privacyConsent !== 'accepted' || !text(data.privacyVersion)) {
+        errors.privacyConsent = messages.privacy;
+    }
+
+    return errors;
+}
+
+/**
+ * Filtra un lote de eventos de analítica: solo los eventos de CONFIG.analytics.events,
+ * con sus propiedades permitidas y valores primitivos cortos, para que no se cuelen
+ * datos personales
+ * @param {Object} body - Cuerpo recibido: { events: [...] }
+ * @returns {Array<Object>} - Eventos aceptados
+ */
+function sanitizeAnalyticsEvents(body) {
+    const { maxEvents, maxValueLength, events: allowed } = CONFIG.analytics;
+    const events = Array.isArray(body.events) ? body.events.slice(0, maxEvents) : [];
+    const isPrimitive = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+    return events
+        .filter(event => event && typeof event === 'object' && Object.hasOwn(allowed, event.name))
+        .map(event => {
+            const props = event.props && typeof event.props === 'object' ? event.props : {};
+
+            return {
+                name: event.name,
+                page: typeof event.page === 'string' ? event.page.slice(0, maxValueLength) : '',
+                language: typeof event.language === 'string' ? event.language.slice(0, 8) : '',
+                time: Number(event.time) || null,
+                props: Object.fromEntries(allowed[event.name]
+                    .filter(key => Object.hasOwn(props, key) && isPrimitive(props[key]))
+                    .map(key => [key, typeof props[key] === 'string' ? props[key].slice(0, maxValueLength) : props[key]]))
+            };
+        });
+}
+
+// ===================================
+// DISPONIBILIDAD
+// ===================================
+
+/**
+ * Lee los IDs de los servicios del catálogo
+ * @returns {Array<string>}
+ */
+function loadServiceIds() {
+    return JSON.parse(fs.readFileSync(CONFIG.servicesFile, 'utf8')).map(service => service.id);
+}
+
+/**
+ * Genera los horarios libres a partir del horario de atención y de las citas
+ * ya registradas. Las citas de cualquier servicio ocupan el horario: el centro
+ * atiende una cita a la vez
+ * @param {number} days - Número de días a partir de hoy
+ * @param {Array<Object>} bookings - Citas registradas
+ * @returns {Array<{start: string, end: string}>}
+ */
+function generateSlots(days, bookings) {
+    const { utcOffsetHours, slotMinutes, hours } = CONFIG.booking;
+    const offsetMs = utcOffsetHours * 60 * 60 * 1000;
+    const now = Date.now();
+    const localToday = new Date(now + offsetMs);
+    const booked = new Set(bookings.map(b => b.start));
+    const slots = [];
+
+    for (let day = 0; day < days; day++) {
+        const date = new Date(Date.UTC(localToday.getUTCFullYear(), localToday.getUTCMonth(), localToday.getUTCDate() + day));
+        const range = hours[date.getUTCDay()];
+
+        if (!range) {
+            continue;
+        }
+
+        for (let minutes = range[0] * 60; minutes + slotMinutes <= range[1] * 60; minutes += slotMinutes) {
+            const start = new Date(date.getTime() + minutes * 60 * 1000 - offsetMs);
+            const startIso = start.toISOString();
+
+            if (start.getTime() > now && !booked.has(startIso)) {
+                slots.push({
+                    start: startIso,
+                    end: new Date(start.getTime() + slotMinutes * 60 * 1000).toISOString()
+                });
+            }
+        }
+    }
+
+    return slots;
+}
+
+// ===================================
+// PROTECCIÓN ANTISPAM
+// ===================================
+
+/**
+ * Límite de envíos por IP en una ventana de tiempo, en memoria
+ */
+class RateLimiter {
+    /**
+     * @param {number} max - Envíos permitidos por ventana
+     * @param {number} windowMs - Duración de la ventana en milisegundos
+     */
+    constructor(max, windowMs) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+    }
+
+    /**
+     * Revisa si el cliente aún tiene envíos disponibles, sin registrar uno
+     * @param {string} key - Identificador del cliente (IP)
+     * @returns {{allowed: boolean, retryAfter: number}} - retryAfter en segundos
+     */
+    check(key) {
+        const now = Date.now();
+        const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length === 0) {
+            this.hits.delete(key);
+        } else {
+            this.hits.set(key, recent);
+        }
+
+        if (recent.length >= this.max) {
+            return { allowed: false, retryAfter: Math.ceil((recent[0] + this.windowMs - now) / 1000) };
+        }
+
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    /**
+     * Registra un envío. Solo cuentan los aceptados o bloqueados como spam,
+     * para que corregir errores de validación no agote el límite
+     * @param {string} key - Identificador del cliente (IP)
+     */
+    hit(key) {
+        const recent = this.hits.get(key) || [];
+        recent.push(Date.now());
+        this.hits.set(key, recent);
+    }
+}
+
+/**
+ * Retos de prueba de trabajo sin estado: el reto va firmado con HMAC y
+ * solo se recuerdan los ya usados hasta que expiran
+ */
+class ProofOfWork {
+    /**
+     * @param {Object} options - Opciones
+     * @param {string|Buffer} options.secret - Clave para firmar los retos
+     * @param {number} options.difficulty - Bits en cero al inicio del hash
+     * @param {number} options.ttlMs - Vigencia del reto
+     */
+    constructor({ secret, difficulty, ttlMs }) {
+        this.secret = secret;
+        this.difficulty = difficulty;
+        this.ttlMs = ttlMs;
+        this.used = new Map();
+    }
+
+    /**
+     * Firma los datos de un reto
+     * @param {string} challenge - Reto
+     * @param {number} difficulty - Dificultad
+     * @param {number} expires - Expiración (ms desde epoch)
+     * @returns {string}
+     */
+    sign(challenge, difficulty, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${challenge}.${difficulty}.${expires}`).digest('hex');
+    }
+
+    /**
+     * Crea un reto nuevo
+     * @returns {{challenge: string, difficulty: number, expires: number, signature: string}}
+     */
+    issue() {
+        const challenge = crypto.randomBytes(16).toString('hex');
+        const expires = Date.now() + this.ttlMs;
+        return { challenge, difficulty: this.difficulty, expires, signature: this.sign(challenge, this.difficulty, expires) };
+    }
+
+    /**
+     * Verifica una solución; cada reto solo se acepta una vez
+     * @param {Object} proof - { challenge, difficulty, expires, signature, nonce }
+     * @returns {boolean}
+     */
+    verify(proof) {
+        if (!proof || typeof proof !== 'object') {
+            return false;
+        }
+
+        const { challenge, difficulty, expires, signature, nonce } = proof;
+        const now = Date.now();
+        this.used.forEach((expiry, key) => {
+            if (expiry < now) this.used.delete(key);
+        });
+
+        const expected = this.sign(String(challenge), Number(difficulty), Number(expires));
+        const validSignature = typeof signature === 'string'
+            && signature.length === expected.length
+            && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+        if (!validSignature || Number(difficulty) < this.difficulty || Number(expires) < now || this.used.has(challenge)) {
+            return false;
+        }
+
+        const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+        if (leadingZeroBits(hash) < Number(difficulty)) {
+            return false;
+        }
+
+        this.used.set(challenge, Number(expires));
+        return true;
+    }
+}
+
+/**
+ * Cuenta los bits en cero al inicio de un hash
+ * @param {Uint8Array} bytes - Hash
+ * @returns {number}
+ */
+function leadingZeroBits(bytes) {
+    let bits = 0;
+    for (const byte of bytes) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+/**
+ * Revisa las señales antispam de un envío de contacto
+ * @param {Object} data - Datos recibidos
+ * @returns {string|null} - Motivo del bloqueo o null si pasa
+ */
+function checkSpam(data) {
+    const { honeypotField, minFillTime, requireProof } = CONFIG.spam;
+
+    if (data[honeypotField]) {
+        return 'honeypot';
+    }
+
+    if (!(Number(data._elapsed) >= minFillTime)) {
+        return 'tooFast';
+    }
+
+    if (requireProof && !proofOfWork.verify(data._proof)) {
+        return 'proof';
+    }
+
+    return null;
+}
+
+/**
+ * Quita los campos de control (los que empiezan con _ y el honeypot) antes de guardar
+ * @param {Object} data - Datos recibidos
+ * @returns {Object}
+ */
+function stripControlFields(data) {
+    return Object.fromEntries(Object.entries(data)
+        .filter(([key]) => !key.startsWith('_') && key !== CONFIG.spam.honeypotField));
+}
+
+const proofOfWork = new ProofOfWork({
+    secret: process.env.SPAM_SECRET || crypto.randomBytes(32),
+    difficulty: CONFIG.spam.difficulty,
+    ttlMs: CONFIG.spam.challengeTtl
+});
+const contactLimiter = new RateLimiter(CONFIG.spam.rateLimit.max, CONFIG.spam.rateLimit.windowMs);
+const bookingLimiter = new RateLimiter(CONFIG.spam.rateLimit.max, CONFIG.spam.rateLimit.windowMs);
+
+// ===================================
+// UTILIDADES HTTP
+// ===================================
+
+/**
+ * Error causado por la petición del cliente (cuerpo inválido, demasiado grande…).
+ * Se responde con su código y se registra sin traza, no como una falla del servidor
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - Código HTTP de la respuesta
+     * @param {string} message - Mensaje para el cliente
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Envía una respuesta JSON
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {number} status - Código HTTP
+ * @param {Object} body - Cuerpo de la respuesta
+ * @param {Object} [headers] - Encabezados adicionales
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Responde 429 cuando el cliente agotó su límite de envíos
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {{allowed: boolean, retryAfter: number}} limit - Resultado de RateLimiter.check
+ */
+function sendRateLimited(res, limit) {
+    sendJson(res, 429, { message: 'Too many submissions', reason: 'rateLimited', retryAfter: limit.retryAfter }, {
+        'Retry-After': String(limit.retryAfter)
+    });
+}
+
+/**
+ * Lee y parsea el cuerpo JSON de la petición. Todos los endpoints esperan un
+ * objeto, así que cualquier otro valor (null, arreglos, números) se rechaza con 400
+ * @param {http.IncomingMessage} req - Petición
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > CONFIG.maxBodySize) {
+                reject(new HttpError(413, 'Payload too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            let body;
+            try {
+                body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON'));
+                return;
+            }
+
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'Expected a JSON object'));
+                return;
+            }
+
+            resolve(body);
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Indica si un archivo forma parte de los recursos públicos del sitio
+ * @param {string} filePath - Ruta absoluta ya resuelta
+ * @returns {boolean}
+ */
+function isPublicFile(filePath) {
+    const segments = path.relative(CONFIG.rootDir, filePath).split(path.sep);
+
+    // Nada fuera del sitio, ni archivos ocultos (.git, .env) en ningún nivel
+    if (segments[0] === '..' || path.isAbsolute(segments[0]) || segments.some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+
+    if (segments.length === 1) {
+        return CONFIG.publicFiles.includes(segments[0]);
+    }
+
+    return CONFIG.publicDirs.includes(segments[0]) && path.extname(filePath) in MIME_TYPES;
+}
+
+/**
+ * Sirve un archivo estático del sitio. Solo se entregan los archivos públicos
+ * (ver CONFIG.publicFiles y CONFIG.publicDirs); lo demás responde 404
+ * @param {http.IncomingMessage} req - Petición
+ * @param {http.ServerResponse} res - Respuesta
+ * @param {string} pathname - Ruta solicitada
+ */
+function serveStatic(req, res, pathname) {
+    let relativePath;
+    try {
+        relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        sendJson(res, 400, { message: 'Bad request' });
+        return;
+    }
+    const filePath = path.resolve(CONFIG.rootDir, relativePath);
+
+    // No revelar qué otros archivos existen en el directorio del proyecto
+    if (!isPublicFile(filePath)) {
+        sendJson(res, 404, { message: 'Not found' });
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            sendJson(res, 404, { message: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+// ===================================
+// RUTAS DE LA API
+// ===================================
+
+const contactStore = new FileStore('submissions.jsonl');
+const bookingStore = new FileStore('bookings.jsonl');
+const analyticsStore = new FileStore('analytics.jsonl');
+
+const ROUTES = {
+    'GET /api/challenge': async (req, res) => {
+        sendJson(res, 200, proofOfWork.issue(), { 'Cache-Control': 'no-store' });
+    },
+
+    'POST /api/contact': async (req, res) => {
+        const client = req.socket.remoteAddress;
+        const limit = contactLimiter.check(client);
+        if (!limit.allowed) {
+            sendRateLimited(res, limit);
+            return;
+        }
+
+        const body = await readJsonBody(req);
+        const reason = checkSpam(body);
+        if (reason) {
+            contactLimiter.hit(client);
+            console.warn(`🚫 Envío bloqueado (${reason})`);
+            sendJson(res, 403, { message: 'Submission blocked', reason });
+            return;
+        }
+
+        const data = stripControlFields(body);
+        const errors = validateContact(data, getMessages(req));
+
+        if (Object.keys(errors).length > 0) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            receivedAt: new Date().toISOString(),
+            ...data
+        };
+        contactStore.append(record);
+        contactLimiter.hit(client);
+        console.log(`📨 Nueva solicitud de contacto ${record.id}`);
+
+        sendJson(res, 201, { id: record.id });
+    },
+
+    'POST /api/analytics': async (req, res) => {
+        const events = sanitizeAnalyticsEvents(await readJsonBody(req));
+        const receivedAt = new Date().toISOString();
+
+        // No se guarda la IP ni ningún identificador del visitante
+        events.forEach(event => analyticsStore.append({ receivedAt, ...event }));
+
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+    },
+
+    'GET /api/availability': async (req, res, url) => {
+        const service = url.searchParams.get('service') || '';
+        const requestedDays = Number(url.searchParams.get('days')) || CONFIG.booking.defaultDays;
+        const days = Math.min(Math.max(requestedDays, 1), CONFIG.booking.maxDays);
+
+        if (!loadServiceIds().includes(service)) {
+            sendJson(res, 400, { message: 'Unknown service', errors: { servicio: getMessages(req).service } });
+            return;
+        }
+
+        sendJson(res, 200, {
+            service,
+            timeZone: 'America/Mexico_City',
+            slots: generateSlots(days, bookingStore.readAll())
+        });
+    },
+
+    'POST /api/bookings': async (req, res) => {
+        const client = req.socket.remoteAddress;
+        const limit = bookingLimiter.check(client);
+        if (!limit.allowed) {
+            sendRateLimited(res, limit);
+            return;
+        }
+
+        const data = await readJsonBody(req);
+        const errors = validateBooking(data, getMessages(req), loadServiceIds());
+
+        if (Object.keys(errors).length > 0) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        const start = new Date(data.start).toISOString();
+        const slot = generateSlots(CONFIG.booking.maxDays, bookingStore.readAll())
+            .find(candidate => candidate.start === start);
+
+        if (!slot) {
+            sendJson(res, 409, { message: 'Slot unavailable' });
+            return;
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            servicio: data.servicio,
+            start: slot.start,
+            end: slot.end,
+            nombre: data.nombre,
+            email: data.email,
+            privacyConsent: data.privacyConsent,
+            privacyVersion: data.privacyVersion,
+            privacyAcceptedAt: data.privacyAcceptedAt
+        };
+        bookingStore.append(record);
+        bookingLimiter.hit(client);
+        console.log(`📅 Nueva cita ${record.id} (${record.servicio}, ${record.start})`);
+
+        sendJson(res, 201, record);
+    }
+};
+
+// ===================================
+// SERVIDOR
+// ===================================
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const { pathname } = url;
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept, Accept-Language'
+        });
+        res.end();
+        return;
+    }
+
+    const handler = ROUTES[`${req.method} ${pathname}`];
+
+    try {
+        if (handler) {
+            await handler(req, res, url);
+        } else if (req.method === 'GET' && !pathname.startsWith('/api/')) {
+            serveStatic(req, res, pathname);
+        } else {
+            sendJson(res, 404, { message: 'Not found' });
+        }
+    } catch (error) {
+        if (error instanceof HttpError) {
+            console.warn(`⚠️ Petición rechazada (${error.status}): ${req.method} ${pathname} - ${error.message}`);
+        } else {
+            console.error('❌ Error en la petición:', error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { message: error.status ? error.message : 'Internal server error' });
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(CONFIG.port, () => {
+        console.log(`🚀 Divergen-T local server en http://localhost:${CONFIG.port}`);
+    });
+}
+
+module.exports = {
+    server,
+    ROUTES,
+    FileStore,
+    HttpError,
+    RateLimiter,
+    ProofOfWork,
+    validateContact,
+    validateBooking,
+    sanitizeAnalyticsEvents,
+    generateSlots,
+    loadServiceIds,
+    checkSpam
+};
@@ -0,0 +1,140 @@
+/**
+ * DIVERGEN-T SERVICE WORKER
+ * Guarda en caché el sitio para que funcione sin conexión.
+ *
+ * - El shell se precachea en una caché con versión; al cambiar VERSION se descarga
+ *   de nuevo y las cachés anteriores se borran al activarse.
+ * - Páginas: red primero; sin conexión, la copia guardada o offline.html.
+ * - Archivos del sitio y fuentes: caché primero, actualizando en segundo plano.
+ * - La API (/api/*) nunca se guarda: los envíos sin conexión los encola la página.
+ */
+
+const VERSION = 'v18';
+const CACHE_PREFIX = 'divergent-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const OFFLINE_URL = './offline.html';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    OFFLINE_URL,
+    './styles.css',
+    './script.js',
+    './manifest.webmanifest',
+    './locales/es.json',
+    './locales/en.json',
+    './data/services.json',
+    './data/services.en.json',
+    './data/stats.json',
+    './data/testimonials.json',
+    './data/testimonials.en.json',
+    './data/faq.json',
+    './data/faq.en.json',
+    './data/organization.json',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png'
+];
+
+// Si fallan no se cancela la instalación: el sitio funciona con las fuentes del sistema
+const OPTIONAL_PRECACHE_URLS = [
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap',
+    'https://cdn.tailwindcss.com'
+];
+
+// Dominios externos cuyas respuestas también se guardan (fuentes y Tailwind)
+const RUNTIME_ORIGINS = [
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://cdn.tailwindcss.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => Promise.all([
+        cache.addAll(PRECACHE_URLS),
+        ...OPTIONAL_PRECACHE_URLS.map(url => fetch(url, { mode: 'no-cors' })
+            .then(response => cache.put(url, response))
+            .catch(() => {}))
+    ])));
+    // No se llama a skipWaiting: la página pregunta antes de cambiar de versión
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (isSameOrigin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (isSameOrigin || RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    }
+});
+
+/**
+ * Red primero para las páginas, para no mostrar contenido viejo si hay conexión
+ * @param {Request} request - Petición de navegación
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match(OFFLINE_URL));
+    }
+}
+
+/**
+ * Responde con la caché y la actualiza en segundo plano
+ * @param {FetchEvent} event - Evento fetch
+ * @param {Request} request - Petición
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            // Las respuestas opacas (status 0) de otros dominios también sirven para <link> y <script>
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    return update;
+}